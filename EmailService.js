@@ -1,312 +1,2070 @@
 //EmailService.js
 
-const { retryWithBackoff, sleep } = require('C:\\resilient-email-service\\utils');
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+const { sleep } = require('C:\\resilient-email-service\\utils');
+const { MemoryStore } = require('C:\\resilient-email-service\\stores');
+const { ErrorCodes, EmailSendError, EmailCancelledError } = require('C:\\resilient-email-service\\errors');
+const { normalizeProvider } = require('C:\\resilient-email-service\\providers');
+const {
+    prepareMessage,
+    countRecipients,
+    messageSize,
+    serializeMessage,
+    deserializeMessage
+} = require('C:\\resilient-email-service\\message');
+const { buildMimeMessage } = require('C:\\resilient-email-service\\mime');
+const { TemplateRegistry } = require('C:\\resilient-email-service\\templates');
+const { systemClock } = require('C:\\resilient-email-service\\clock');
+const { Scheduler } = require('C:\\resilient-email-service\\scheduler');
+const { PriorityQueue } = require('C:\\resilient-email-service\\queue');
+const { RateLimiter } = require('C:\\resilient-email-service\\rateLimiter');
+const { CircuitBreaker, CircuitStates } = require('C:\\resilient-email-service\\circuitBreaker');
+const { MetricsRegistry } = require('C:\\resilient-email-service\\metrics');
+const { RetryPolicy } = require('C:\\resilient-email-service\\retryPolicy');
+const { BatchCollector } = require('C:\\resilient-email-service\\batcher');
+const { createRouter, RuleRouting } = require('C:\\resilient-email-service\\routing');
+const { ProviderHealth } = require('C:\\resilient-email-service\\health');
+
+// Store namespaces used by the service
+const IDEMPOTENCY_NAMESPACE = 'idempotency';
+const STATUS_NAMESPACE = 'status';
+const QUEUE_NAMESPACE = 'queue';
+const WORKER_NAMESPACE = 'workers';
+const DEAD_LETTER_NAMESPACE = 'deadLetter';
+
+/**
+ * Abort signal and deadline of one send, shared by its queueing, scheduling and provider attempts.
+ * @typedef {Object} SendControl
+ * @property {AbortSignal | null} signal - Aborts when the caller aborts or the deadline passes; its reason is the EmailSendError to reject with.
+ * @property {number | null} deadlineAt - Deadline in milliseconds since the epoch.
+ * @property {number | null} hedgeDelayMs - Start a second provider in parallel when the first has not delivered the email within this time.
+ * @property {function(): void} dispose - Stops watching the caller's signal and the deadline.
+ */
+
+// Service names recording into each metrics registry
+const METRIC_OWNERS = new WeakMap();
+
+// Control for sends without a signal or deadline, such as replayed emails
+const NO_CONTROL = Object.freeze({ signal: null, deadlineAt: null, hedgeDelayMs: null, dispose: () => {} });
+
+/**
+ * @typedef {'scheduled' | 'pending' | 'sent' | 'failed' | 'processing' | 'cancelled'} EmailStatus
+ */
+
+/**
+ * Attempts made against one provider while sending an email.
+ * @typedef {Object} ProviderAttempts
+ * @property {string} provider - Provider name.
+ * @property {number} providerIndex - Index of the provider in the provider list.
+ * @property {number} attempts - Number of attempts (initial try plus retries).
+ */
+
+/**
+ * Outcome of a successful send.
+ * @typedef {Object} SendResult
+ * @property {string} emailId - The unique ID of the email.
+ * @property {string} provider - Name of the provider that delivered the email.
+ * @property {number} providerIndex - Index of that provider in the provider list.
+ * @property {Array<ProviderAttempts>} attempts - Attempts per provider tried, in order.
+ * @property {number} latencyMs - Total time spent across all providers and retries.
+ * @property {string | null} messageId - Message ID reported by the provider, if any.
+ * @property {boolean} fromCache - True if this result was returned from the idempotency cache.
+ * @property {*} response - The raw value the provider resolved with.
+ */
+
+/**
+ * An email that could not be delivered, as kept in the dead-letter store.
+ * @typedef {Object} DeadLetter
+ * @property {string} emailId - The unique ID of the email.
+ * @property {Object} message - The full message, serialized (see message.js).
+ * @property {string} code - Error code of the last failure.
+ * @property {string} error - Error message of the last failure.
+ * @property {Array<Object>} providerErrors - ProviderErrorDetail entries of the last failure.
+ * @property {number} firstFailedAt - When the email was first dead-lettered.
+ * @property {number} lastFailedAt - When it last failed.
+ * @property {number} redriveCount - How many times it has been redriven.
+ * @property {number | null} nextRedriveAt - When the automatic redrive will run, if one is planned.
+ */
+
+/**
+ * Health of the service, as returned by getHealth.
+ * @typedef {Object} HealthReport
+ * @property {'ok' | 'degraded' | 'down'} status - `ok` when every provider is healthy, `down` when none can take email.
+ * @property {boolean} ready - True while at least one provider's circuit is not open.
+ * @property {number} timestamp - When the report was made.
+ * @property {Array<Object>} providers - Per provider: `name`, `state` (circuit state), `healthy` and the
+ * ProviderHealthReport fields (see health.js).
+ */
 
 /**
- * @typedef {'pending' | 'sent' | 'failed' | 'processing'} EmailStatus
+ * Outcome of one message of sendBatch.
+ * @typedef {Object} BatchOutcome
+ * @property {number} index - Position of the message in the input.
+ * @property {string} emailId - The email's ID.
+ * @property {'sent' | 'failed' | 'skipped'} status - `skipped` means the batch stopped before the message was started.
+ * @property {SendResult} [result] - For sent messages.
+ * @property {EmailSendError} [error] - For failed messages.
  */
 
 /**
- * Represents a circuit breaker state.
- * @typedef {Object} CircuitState
- * @property {boolean} isOpen - True if the circuit is open (failing).
- * @property {number} lastFailureTime - Timestamp of the last failure.
- * @property {number} failureCount - Consecutive failure count.
- * @property {number} halfOpenAttempts - Attempts made in half-open state.
+ * Progress of sendBatch, passed to onProgress.
+ * @typedef {Object} BatchProgress
+ * @property {number | null} total - Number of messages, when the input is an array.
+ * @property {number} started - Messages handed to sendEmail.
+ * @property {number} sent - Messages sent.
+ * @property {number} failed - Messages that failed.
+ * @property {number} skipped - Messages not started because the batch stopped.
+ * @property {boolean} stopped - True once the failure ratio was exceeded.
  */
 
-class EmailService {
+/**
+ * Sends email through a list of providers with retries, fallback, idempotency,
+ * rate limiting, queueing and circuit breaking.
+ *
+ * The service is an EventEmitter. Every payload has `emailId` (except circuitStateChanged and healthChecked)
+ * and `timestamp`; the other fields are listed per event:
+ *   queued              { priority, queueDepth } - the email is waiting in the rate-limit queue
+ *   rateLimited         { waitMs } - a send was held back by a rate limit
+ *   duplicate           { inFlight, fromCache } - a duplicate emailId was seen
+ *   attempt             { provider, providerIndex, attempt } - a provider call is starting
+ *   retry               { provider, providerIndex, attempt, delayMs, error } - a failed call will be retried after delayMs
+ *   providerFailed      { provider, providerIndex, attempts, durationMs, permanent, error } - a provider gave up after its retries, or at once on a permanent error
+ *   fallback            { provider, providerIndex, previousProvider } - a provider is being tried after an earlier one failed or was skipped
+ *   hedged              { delayMs } - the first provider was still busy after delayMs, so a second one is being tried alongside it
+ *   sent                { provider, providerIndex, attempts, latencyMs, result } - the email was delivered
+ *   failed              { code, error, latencyMs } - the email will not be sent
+ *   circuitStateChanged { provider, state, previousState, reason } - a provider's circuit breaker changed state
+ *   healthChecked       { provider, healthy, latencyMs, error } - a provider's health check finished
+ *   deadLettered        { code, redriveCount, nextRedriveAt } - a failed email was written to the dead-letter store
+ *   redriven            { redriveCount } - a dead-lettered email is being sent again
+ * Errors thrown by listeners are logged and never break a send.
+ */
+class EmailService extends EventEmitter {
     /**
-     * @param {Array<Function>} providers - An array of email provider functions.
+     * @param {Array<Object | Function>} providers - Email providers: objects implementing the EmailProvider
+     * interface (see providers.js), or plain `(to, subject, body)` functions.
      * @param {Object} options - Configuration options for the service.
      * @param {number} [options.maxRetries=3] - Max retries for each provider attempt.
      * @param {number} [options.initialRetryDelay=100] - Initial delay for exponential backoff.
+     * @param {RetryPolicy | Object} [options.retryPolicy] - Retry policy, or its options (see retryPolicy.js), e.g. `{ jitter: 'full', maxDelayMs: 5000 }`.
+     * maxRetries and initialRetryDelay are shorthands for its options of the same meaning. Per-provider policies go in `provider.options.retryPolicy`.
+     * @param {string | Object} [options.routing='sticky'] - How providers are ordered for each email (see routing.js): 'sticky', 'priority',
+     * 'weighted', 'leastLatency', 'cost', `{ strategy: 'rules', rules, fallback }`, or an object with its own `order` method.
+     * @param {number} [options.attemptTimeoutMs=30000] - How long one provider attempt may take before it is aborted and the next provider is tried. 0 disables the timeout.
      * @param {number} [options.idempotencyWindowMs=60000] - Time window for idempotency (1 minute).
+     * @param {number} [options.idempotencySweepIntervalMs] - How often expired idempotency keys are swept. Defaults to the idempotency window.
      * @param {number} [options.rateLimitWindowMs=1000] - Time window for rate limiting (1 second).
      * @param {number} [options.maxRequestsPerWindow=10] - Max requests allowed in the rate limit window.
+     * @param {Object} [options.rateLimit] - Global limit as a RateLimitSpec (see rateLimiter.js), e.g. `{ strategy: 'tokenBucket', capacity: 50, refillPerSecond: 10 }`.
+     * Defaults to a sliding window built from rateLimitWindowMs and maxRequestsPerWindow. Per-provider limits go in `provider.options.rateLimit`.
+     * @param {Object<string, Object>} [options.domainRateLimits] - Limits per recipient domain, e.g. `{ 'gmail.com': spec }`. Each recipient in the domain uses one token.
      * @param {number} [options.circuitBreakerThreshold=3] - Consecutive failures to open circuit.
      * @param {number} [options.circuitBreakerTimeoutMs=5000] - Time circuit stays open.
-     * @param {number} [options.circuitBreakerHalfOpenAttempts=1] - Attempts made in half-open state.
+     * @param {number} [options.circuitBreakerHalfOpenAttempts=1] - Probe requests admitted at a time in half-open state.
+     * @param {number} [options.circuitBreakerFailureRateThreshold] - Failure ratio (0-1] over the rolling window that also opens the circuit. Off by default.
+     * @param {number} [options.circuitBreakerRollingWindowMs=60000] - Window for the failure rate.
+     * @param {number} [options.circuitBreakerMinimumRequests=10] - Outcomes needed in the window before the failure rate counts.
+     * @param {number} [options.maxMessageBytes=26214400] - Maximum message size, text and HTML parts plus attachments (25 MB).
+     * @param {number} [options.maxQueueWaitMs=60000] - How long a rate-limited email may wait in the queue before it fails with RATE_LIMITED_TIMEOUT.
+     * @param {number} [options.concurrency=1] - How many queued emails may be sent at the same time while the queue drains.
+     * @param {Object} [options.deadLetterStore] - Storage adapter for emails that failed (see stores.js). Defaults to `options.store`.
+     * @param {Object} [options.deadLetterRedrive] - Redrive dead letters automatically, as `{ initialDelayMs, multiplier, maxDelayMs, maxRedrives }`.
+     * Defaults to 5 minutes, doubling up to 6 hours, at most 5 redrives. Off unless given; permanent failures are never redriven automatically.
+     * @param {Object} [options.healthCheck] - Probe providers that have a `healthCheck` method periodically, as `{ intervalMs, timeoutMs }`.
+     * Defaults to every 30 seconds with a 5 second timeout. Off unless given. Probe outcomes feed the circuit breakers.
+     * @param {number} [options.healthSampleSize=50] - Recent outcomes per provider that getHealth summarizes.
      * @param {Function} [options.logger=console.log] - Logging function.
+     * @param {Object} [options.store] - Storage adapter for idempotency keys and statuses (see stores.js). Defaults to a MemoryStore; pass a FileStore to survive restarts.
+     * @param {TemplateRegistry} [options.templates] - Template registry used by sendTemplate. A new, empty registry by default.
+     * @param {Object} [options.queueJournal] - Storage adapter used as a journal for queued and scheduled emails. Pass a FileStore to make them durable; unfinished entries are replayed on startup.
+     * @param {string} [options.workerId] - Owner of this service's journal entries. A random ID by default; a stable one lets a restarted worker take its entries back at once.
+     * @param {number} [options.workerTimeoutMs=30000] - How long after a worker's last heartbeat in the journal its entries may be taken over by another worker.
+     * @param {Object<string, Object>} [options.queueLanes] - Priority lanes of the rate-limit queue, highest first, as `{ name: { weight, maxSize } }` (see queue.js). Defaults to critical, transactional and bulk.
+     * @param {string} [options.defaultPriority='transactional'] - Lane used for emails sent without a priority.
+     * @param {MetricsRegistry} [options.metrics] - Registry the service records its metrics in (see metrics.js). A new registry by default.
+     * @param {string} [options.serviceName='default'] - Value of the `service` label on every metric; services sharing a registry need different names.
+     * @param {Object} [options.clock] - Time source for timestamps, scheduling and queue timers (see clock.js). Tests can pass a ManualClock.
      */
     constructor(providers, options = {}) {
+        super();
         if (!Array.isArray(providers) || providers.length === 0) {
             throw new Error('At least one email provider is required.');
         }
 
-        this.providers = providers;
-        this.currentProviderIndex = 0;
-        this.maxRetries = options.maxRetries || 3;
+        /** @type {Array<Object>} */
+        this.providers = providers.map(normalizeProvider); // EmailProvider objects, see providers.js
+        const names = new Set();
+        for (const provider of this.providers) {
+            if (names.has(provider.name)) {
+                throw new Error(`Provider names must be unique; "${provider.name}" is registered twice.`);
+            }
+            names.add(provider.name);
+        }
+        this.clock = options.clock || systemClock;
+        this.router = createRouter(options.routing);
+        if (this.router instanceof RuleRouting) {
+            for (const rule of this.router.rules) {
+                const unknown = rule.providers.filter(name => !names.has(name));
+                if (unknown.length > 0) {
+                    throw new Error(`Routing rule names unknown provider(s): ${unknown.join(', ')}.`);
+                }
+            }
+        }
+        this.maxRetries = options.maxRetries !== undefined ? options.maxRetries : 3; // 0 disables retries
         this.initialRetryDelay = options.initialRetryDelay || 100;
+        this.retryPolicy = options.retryPolicy instanceof RetryPolicy
+            ? options.retryPolicy
+            : new RetryPolicy({ maxRetries: this.maxRetries, initialDelayMs: this.initialRetryDelay, ...options.retryPolicy });
+        this.attemptTimeoutMs = options.attemptTimeoutMs !== undefined ? options.attemptTimeoutMs : 30 * 1000; // 0 disables it
+
+        this.maxMessageBytes = options.maxMessageBytes || 25 * 1024 * 1024;
+        this.templates = options.templates || new TemplateRegistry();
+
+        // Persistence for idempotency keys and statuses
+        this.store = options.store || new MemoryStore();
 
         // Idempotency
-        /** @type {Set<string>} */
-        this.sentEmailIds = new Set();
         this.idempotencyWindowMs = options.idempotencyWindowMs || 60 * 1000; // 1 minute
-        // For a quick demo, we explicitly *do not* call setInterval here.
-        // In a long-running service, you would manage this cleanup,
-        
+        /** @type {Map<string, Promise<SendResult>>} */
+        this.inFlight = new Map(); // Sends still running, so duplicates can share their outcome
+        // Expired keys are also ignored on read; the sweeper just keeps the store small.
+        // The timer is unref'd so it never keeps the process alive, and close() stops it.
+        this.idempotencySweepTimer = setInterval(
+            () => this._cleanupIdempotencySet(),
+            options.idempotencySweepIntervalMs || this.idempotencyWindowMs
+        );
+        this.idempotencySweepTimer.unref();
 
         // Rate Limiting
-        /** @type {Array<number>} */
-        this.requestTimestamps = [];
         this.rateLimitWindowMs = options.rateLimitWindowMs || 1000; // 1 second
         this.maxRequestsPerWindow = options.maxRequestsPerWindow || 10;
+        // Limiter keys: 'global', 'domain:<domain>' and 'provider:<name>'
+        this.rateLimiter = new RateLimiter({ clock: this.clock });
+        this.rateLimiter.set('global', options.rateLimit || {
+            strategy: 'slidingWindow',
+            limit: this.maxRequestsPerWindow,
+            windowMs: this.rateLimitWindowMs
+        });
+        for (const [domain, spec] of Object.entries(options.domainRateLimits || {})) {
+            this.rateLimiter.set(`domain:${domain.toLowerCase()}`, spec);
+        }
+        for (const provider of this.providers) {
+            if (provider.options.rateLimit) {
+                this.rateLimiter.set(`provider:${provider.name}`, provider.options.rateLimit);
+            }
+        }
 
-        // Status Tracking
-        /** @type {Map<string, EmailStatus>} */
-        this.emailStatuses = new Map();
-        /** @type {Array<Object>} */
-        this.emailQueue = []; // Basic queue
-        this.isProcessingQueue = false;
+        // Queue
+        /** @type {PriorityQueue} */
+        this.emailQueue = new PriorityQueue(options.queueLanes); // One FIFO lane per priority
+        this.defaultPriority = options.defaultPriority || 'transactional';
+        if (!this.emailQueue.hasLane(this.defaultPriority)) {
+            throw new Error(`Default priority ${this.defaultPriority} is not one of the queue lanes.`);
+        }
+        this.concurrency = options.concurrency || 1;
+        if (!Number.isInteger(this.concurrency) || this.concurrency < 1) {
+            throw new Error(`concurrency must be a positive integer, got ${options.concurrency}.`);
+        }
+        this.activeQueueSends = 0; // Queued emails being sent right now, at most `concurrency`
+        this.queueRetryTimer = null; // Re-checks the queue once the rate limit should have room again
+        /** @type {Set<string>} */
+        this.sending = new Set(); // emailIds a provider is working on; a second send with the same ID waits in the queue
+        this.maxQueueWaitMs = options.maxQueueWaitMs || 60 * 1000; // 1 minute
+        this.queueJournal = options.queueJournal || null; // Durable queue mode when set
+        this.workerId = options.workerId || crypto.randomUUID();
+        this.workerTimeoutMs = options.workerTimeoutMs || 30 * 1000; // 30 seconds
+        this.workerTimer = null; // Heartbeat, and takeover of entries left by workers that stopped
 
-        // Circuit Breaker
-        /** @type {Map<Function, CircuitState>} */
-        this.circuitBreakers = new Map(providers.map(p => [p, {
-            isOpen: false,
-            lastFailureTime: 0,
-            failureCount: 0,
-            halfOpenAttempts: 0
-        }]));
-        this.circuitBreakerThreshold = options.circuitBreakerThreshold || 3;
-        this.circuitBreakerTimeoutMs = options.circuitBreakerTimeoutMs || 5000; // 5 seconds
-        this.circuitBreakerHalfOpenAttempts = options.circuitBreakerHalfOpenAttempts || 1;
+        // Scheduled sends wait here until due, then take the normal rate-limited path
+        this.scheduler = new Scheduler({ clock: this.clock, onDue: entry => this._releaseScheduled(entry) });
+
+        // Dead letters: failed emails are kept here until they are redriven and sent
+        this.deadLetterStore = options.deadLetterStore || this.store;
+        this.deadLetterRedrive = options.deadLetterRedrive ? {
+            initialDelayMs: 5 * 60 * 1000, // 5 minutes
+            multiplier: 2,
+            maxDelayMs: 6 * 60 * 60 * 1000, // 6 hours
+            maxRedrives: 5,
+            ...options.deadLetterRedrive
+        } : null;
+        // Like the idempotency sweeper, planned redrives never keep the process alive; a FileStore keeps them for the next start
+        this.redriveScheduler = new Scheduler({ clock: this.clock, unref: true, onDue: ({ id }) => this._autoRedrive(id) });
 
         // Logging: Ensure this.logger is always an object with log and error methods
         this.logger = options.logger || {
             log: console.log.bind(console), // Bind to console to preserve 'this' context
             error: console.error.bind(console) // Bind to console to preserve 'this' context
         };
+
+        // Circuit Breaker
+        this.circuitBreakerThreshold = options.circuitBreakerThreshold || 3;
+        this.circuitBreakerTimeoutMs = options.circuitBreakerTimeoutMs || 5000; // 5 seconds
+        this.circuitBreakerHalfOpenAttempts = options.circuitBreakerHalfOpenAttempts || 1;
+        this.circuitBreakerFailureRateThreshold = options.circuitBreakerFailureRateThreshold || null;
+        this.circuitBreakerRollingWindowMs = options.circuitBreakerRollingWindowMs || 60 * 1000; // 1 minute
+        this.circuitBreakerMinimumRequests = options.circuitBreakerMinimumRequests || 10;
+        /** @type {Map<string, CircuitBreaker>} */
+        this.circuitBreakers = new Map(this.providers.map(p => [p.name, this._createCircuitBreaker(p)]));
+        /** @type {Map<string, RetryPolicy>} */
+        this.retryPolicies = new Map(this.providers.map(p => [p.name, this._createRetryPolicy(p)]));
+        // Providers with a native batch endpoint get concurrent sends combined into one call
+        /** @type {Map<string, BatchCollector>} */
+        this.batchers = new Map(this.providers.filter(p => p.capabilities.batch).map(p => [p.name, new BatchCollector({
+            name: p.name,
+            maxSize: p.capabilities.maxBatchSize,
+            send: p.send,
+            sendBatch: p.sendBatch
+        })]));
+
+        // Health: recent outcomes per provider, and optional probes so failures are found without customer mail
+        /** @type {Map<string, ProviderHealth>} */
+        this.health = new Map(this.providers.map(p => [p.name, new ProviderHealth({ sampleSize: options.healthSampleSize })]));
+        this.healthCheck = options.healthCheck ? {
+            intervalMs: 30 * 1000, // 30 seconds
+            timeoutMs: 5 * 1000, // 5 seconds
+            ...options.healthCheck
+        } : null;
+        this.healthCheckTimer = null;
+        this.closed = false;
+
+        // Metrics, fed by the service's own events
+        this.metrics = options.metrics || new MetricsRegistry();
+        this.serviceName = options.serviceName || 'default';
+        this._registerMetrics();
+
+        if (this.queueJournal) {
+            this._heartbeat();
+            this._replayQueueJournal();
+            this.workerTimer = setInterval(() => {
+                this._heartbeat();
+                this._replayQueueJournal();
+            }, this.workerTimeoutMs / 3);
+            this.workerTimer.unref();
+        }
+        if (this.deadLetterRedrive) {
+            // Redrives planned by a previous process
+            for (const [emailId, entry] of this.deadLetterStore.entries(DEAD_LETTER_NAMESPACE)) {
+                if (entry.nextRedriveAt !== null) this.redriveScheduler.schedule(emailId, entry.nextRedriveAt);
+            }
+        }
+        if (this.healthCheck) {
+            this._scheduleHealthCheck();
+        }
+    }
+
+    /**
+     * Stops the background timers owned by the service.
+     * Call this when shutting down so the service can be garbage collected.
+     * Scheduled emails stop waiting and their promises reject: with SHUTDOWN when a durable queue journal
+     * keeps them for the next worker, otherwise they are cancelled (EmailCancelledError).
+     */
+    close() {
+        this.closed = true;
+        clearInterval(this.idempotencySweepTimer);
+        if (this.queueJournal) {
+            // Other workers may take over what is left in the journal right away
+            clearInterval(this.workerTimer);
+            this.queueJournal.delete(WORKER_NAMESPACE, this.workerId);
+        }
+        for (const { id: emailId, payload } of this.scheduler.list()) {
+            this.scheduler.cancel(emailId);
+            this.inFlight.delete(emailId);
+            if (this.queueJournal) {
+                payload.reject(new EmailSendError(`Service closed before scheduled email ${emailId} was sent; the queue journal keeps it for the next worker.`, {
+                    code: ErrorCodes.SHUTDOWN,
+                    emailId
+                }));
+            } else {
+                this._finishCancel(emailId, payload.reject);
+            }
+        }
+        this.redriveScheduler.stop();
+        if (this.queueRetryTimer !== null) {
+            this.clock.clearTimeout(this.queueRetryTimer);
+            this.queueRetryTimer = null;
+        }
+        if (this.healthCheckTimer !== null) {
+            this.clock.clearTimeout(this.healthCheckTimer);
+            this.healthCheckTimer = null;
+        }
+        for (const [gauge, collect] of this.gaugeCollectors) {
+            gauge.removeCollector(collect);
+            gauge.removeSeries({ service: this.serviceName });
+        }
+        this.gaugeCollectors = [];
+        METRIC_OWNERS.get(this.metrics).delete(this.serviceName);
     }
 
     /**
-     * Cleans up old email IDs from the idempotency set.
-     * In a production system, this would be crucial. For a short demo,
-     * it can be called manually or relies on the demo's short lifespan.
+     * Registers the service metrics and subscribes them to the lifecycle events.
      * @private
      */
-    _cleanupIdempotencySet() {
-        // Keeping the function, but it's not called by setInterval in the constructor anymore.
-        // If you need it, call it explicitly like `emailService._cleanupIdempotencySet();`
-        this.logger.log('Cleaning up idempotency set (clearing all IDs)...'); // Use .log here
-        this.sentEmailIds.clear();
+    _registerMetrics() {
+        // Every metric carries the service label, so services sharing a registry are told apart
+        const sent = this.metrics.counter('email_sent_total', 'Emails delivered, by provider. primary="false" means a provider other than the first delivered it.', ['service', 'provider', 'primary']);
+        const failed = this.metrics.counter('email_failed_total', 'Emails that will not be sent, by error code.', ['service', 'code']);
+        const providerFailures = this.metrics.counter('email_provider_failures_total', 'Provider calls that still failed after their retries.', ['service', 'provider']);
+        const retries = this.metrics.counter('email_retries_total', 'Retries of failed provider calls.', ['service', 'provider']);
+        const hedges = this.metrics.counter('email_hedged_total', 'Hedged sends that started a second provider.', ['service']);
+        const fallbacks = this.metrics.counter('email_fallbacks_total', 'Sends that moved on to this provider after an earlier one failed or was skipped.', ['service', 'provider']);
+        const duplicates = this.metrics.counter('email_duplicates_total', 'Duplicate sends caught by idempotency.', ['service']);
+        const rateLimited = this.metrics.counter('email_rate_limited_total', 'Sends held back by a rate limit.', ['service']);
+        const healthChecks = this.metrics.counter('email_health_checks_total', 'Provider health checks, by outcome.', ['service', 'provider', 'outcome']);
+        // Observed by _timeAttempt when a provider call settles
+        this.attemptDuration = this.metrics.histogram('email_provider_attempt_duration_seconds', 'Duration of single provider calls.', ['service', 'provider', 'outcome']);
+
+        const owners = METRIC_OWNERS.get(this.metrics) || new Set();
+        if (owners.has(this.serviceName)) {
+            throw new Error(`Another EmailService named ${this.serviceName} already records into this metrics registry; give each one its own serviceName.`);
+        }
+        owners.add(this.serviceName);
+        METRIC_OWNERS.set(this.metrics, owners);
+        const service = this.serviceName;
+        const circuitValues = { [CircuitStates.CLOSED]: 0, [CircuitStates.HALF_OPEN]: 1, [CircuitStates.OPEN]: 2 };
+        const gauges = [
+            ['email_queue_depth', 'Emails waiting in the rate-limit queue.', ['service', 'priority'], gauge => {
+                for (const [priority, depth] of Object.entries(this.emailQueue.depths())) {
+                    gauge.set({ service, priority }, depth);
+                }
+            }],
+            ['email_scheduled', 'Scheduled emails that are not due yet.', ['service'], gauge => {
+                gauge.set({ service }, this.scheduler.list().length);
+            }],
+            ['email_dead_letters', 'Emails in the dead-letter store.', ['service'], gauge => {
+                gauge.set({ service }, this.deadLetterStore.entries(DEAD_LETTER_NAMESPACE).length);
+            }],
+            ['email_circuit_state', 'Circuit state per provider: 0 closed, 1 half-open, 2 open.', ['service', 'provider'], gauge => {
+                for (const [provider, breaker] of this.circuitBreakers) {
+                    gauge.set({ service, provider }, circuitValues[breaker.state]);
+                }
+            }]
+        ];
+        // Unregistered again by close()
+        this.gaugeCollectors = gauges.map(([name, help, labelNames, collect]) => [this.metrics.gauge(name, help, labelNames, collect), collect]);
+
+        this.on('retry', ({ provider }) => retries.inc({ service, provider }));
+        this.on('providerFailed', ({ provider }) => providerFailures.inc({ service, provider }));
+        this.on('sent', payload => sent.inc({ service, provider: payload.provider, primary: payload.providerIndex === 0 }));
+        this.on('fallback', ({ provider }) => fallbacks.inc({ service, provider }));
+        this.on('hedged', () => hedges.inc({ service }));
+        this.on('failed', ({ code }) => failed.inc({ service, code }));
+        this.on('duplicate', () => duplicates.inc({ service }));
+        this.on('rateLimited', () => rateLimited.inc({ service }));
+        this.on('healthChecked', ({ provider, healthy }) => healthChecks.inc({ service, provider, outcome: healthy ? 'success' : 'failure' }));
+    }
+
+    /**
+     * @returns {Object<string, Object>} A snapshot of every metric (see MetricsRegistry.snapshot).
+     */
+    getMetrics() {
+        return this.metrics.snapshot();
+    }
+
+    /**
+     * @returns {string} Every metric in the Prometheus text exposition format, for a /metrics endpoint.
+     */
+    renderPrometheus() {
+        return this.metrics.render();
     }
 
     /**
-     * Checks if the circuit for a given provider is open and needs to block requests.
-     * Manages circuit breaker state transitions (closed, open, half-open).
-     * @param {Function} provider - The email provider function.
-     * @returns {boolean} True if the circuit is open and requests should be blocked.
+     * Emits a lifecycle event, adding a timestamp. A listener that throws is logged, not rethrown.
+     * @param {string} event - Event name.
+     * @param {Object} payload - Event fields.
      * @private
      */
-    _isCircuitOpen(provider) {
-        const state = this.circuitBreakers.get(provider);
-        if (!state) return false;
+    _emit(event, payload) {
+        try {
+            this.emit(event, { ...payload, timestamp: this.clock.now() });
+        } catch (error) {
+            this.logger.error(`Listener for ${event} threw: ${error.message}`);
+        }
+    }
 
-        if (state.isOpen) {
-            const now = Date.now();
-            // If timeout passed, move to half-open state
-            if (now - state.lastFailureTime > this.circuitBreakerTimeoutMs) {
-                this.logger.log(`Circuit for provider ${provider.name || 'unknown'} is half-open.`);
-                state.isOpen = false;
-                state.halfOpenAttempts = 0;
-                return false; // Allow one request to try and close the circuit
+    /**
+     * Removes idempotency keys whose window has passed.
+     * Runs on the sweeper timer started in the constructor.
+     * @private
+     */
+    _cleanupIdempotencySet() {
+        let removed = 0;
+        for (const [emailId, entry] of this.store.entries(IDEMPOTENCY_NAMESPACE)) {
+            if (this._isIdempotencyEntryExpired(entry) && !this.inFlight.has(emailId)) {
+                this.store.delete(IDEMPOTENCY_NAMESPACE, emailId);
+                removed++;
             }
-            this.logger.log(`Circuit for provider ${provider.name || 'unknown'} is open. Blocking request.`);
-            return true; // Circuit is open, block the request
         }
-        return false;
+        if (removed > 0) {
+            this.logger.log(`Cleaned up ${removed} expired idempotency key(s).`);
+        }
     }
 
     /**
-     * Increments failure count for a provider and opens the circuit if threshold is met.
-     * @param {Function} provider - The email provider function that failed.
+     * @param {{firstSeenAt: number}} entry - A stored idempotency entry.
+     * @returns {boolean} True if the entry is older than the idempotency window.
      * @private
      */
-    _recordFailure(provider) {
-        const state = this.circuitBreakers.get(provider);
-        if (!state) return;
+    _isIdempotencyEntryExpired(entry) {
+        return this.clock.now() - entry.firstSeenAt >= this.idempotencyWindowMs;
+    }
 
-        state.failureCount++;
-        state.lastFailureTime = Date.now();
+    /**
+     * Looks up the idempotency entry for an email, dropping it if it has expired.
+     * @param {string} emailId - The unique ID of the email.
+     * @returns {{firstSeenAt: number, result?: SendResult} | undefined} The live entry, if any.
+     * @private
+     */
+    _getIdempotencyEntry(emailId) {
+        const entry = this.store.get(IDEMPOTENCY_NAMESPACE, emailId);
+        if (!entry) return undefined;
+        if (this._isIdempotencyEntryExpired(entry) && !this.inFlight.has(emailId)) {
+            this.store.delete(IDEMPOTENCY_NAMESPACE, emailId);
+            return undefined;
+        }
+        return entry;
+    }
+
+    /**
+     * Claims the idempotency key of an email with one atomic store operation, so that when
+     * several workers share the store only one of them sends it. An expired entry is replaced.
+     * @param {string} emailId - The unique ID of the email.
+     * @returns {boolean} True if this call claimed the key, false if it is held.
+     * @private
+     */
+    _claimIdempotencyKey(emailId) {
+        if (this.inFlight.has(emailId)) return false;
+        const current = this.store.get(IDEMPOTENCY_NAMESPACE, emailId);
+        if (current && !this._isIdempotencyEntryExpired(current)) return false;
+        return this.store.compareAndSet(IDEMPOTENCY_NAMESPACE, emailId, current, { firstSeenAt: this.clock.now() });
+    }
+
+    /**
+     * Stores the provider result next to the idempotency key so duplicates can return it.
+     * @param {string} emailId - The unique ID of the email.
+     * @param {SendResult} result - The send result.
+     * @private
+     */
+    _rememberResult(emailId, result) {
+        const entry = this.store.get(IDEMPOTENCY_NAMESPACE, emailId) || { firstSeenAt: this.clock.now() };
+        this.store.set(IDEMPOTENCY_NAMESPACE, emailId, { ...entry, result });
+    }
 
-        if (!state.isOpen && state.failureCount >= this.circuitBreakerThreshold) {
-            state.isOpen = true;
-            this.logger.log(`Circuit for provider ${provider.name || 'unknown'} opened due to ${state.failureCount} consecutive failures.`);
+    /**
+     * Reads a setting for a provider, preferring the provider's own options over the service default.
+     * @param {Object} provider - The email provider.
+     * @param {string} key - Option name, e.g. 'maxRetries'.
+     * @returns {*} The effective value.
+     * @private
+     */
+    _providerOption(provider, key) {
+        return provider.options[key] !== undefined ? provider.options[key] : this[key];
+    }
+
+    /**
+     * Checks whether a provider can take a message, based on its declared capabilities.
+     * @param {Object} provider - The email provider.
+     * @param {Object} message - The validated EmailMessage.
+     * @returns {string | null} Why the provider cannot send the message, or null if it can.
+     * @private
+     */
+    _unsupportedReason(provider, message) {
+        const { capabilities } = provider;
+        const recipients = countRecipients(message);
+        if (recipients > capabilities.maxRecipients) {
+            return `${recipients} recipients exceed the provider limit of ${capabilities.maxRecipients}.`;
+        }
+        if (message.attachments.length > 0 && !capabilities.attachments) {
+            return 'the provider does not support attachments.';
         }
+        if (message.html && !message.text && !capabilities.html) {
+            return 'the provider does not support HTML and the message has no text part.';
+        }
+        for (const field of ['cc', 'bcc', 'replyTo']) {
+            if (message[field].length > 0 && !capabilities[field]) {
+                return `the provider does not support ${field} recipients.`;
+            }
+        }
+        if (message.from && !capabilities.from) {
+            return 'the provider does not support a From address.';
+        }
+        if (Object.keys(message.headers).length > 0 && !capabilities.headers) {
+            return 'the provider does not support extra headers.';
+        }
+        const size = messageSize(message);
+        if (size > capabilities.maxMessageBytes) {
+            return `${size} bytes exceed the provider limit of ${capabilities.maxMessageBytes}.`;
+        }
+        return null;
     }
 
     /**
-     * Resets the circuit breaker for a successful provider.
-     * @param {Function} provider - The email provider function that succeeded.
+     * Creates the circuit breaker for a provider and logs its state changes.
+     * @param {Object} provider - The email provider.
+     * @returns {CircuitBreaker}
      * @private
      */
-    _recordSuccess(provider) {
-        const state = this.circuitBreakers.get(provider);
-        if (!state) return;
+    _createCircuitBreaker(provider) {
+        const breaker = new CircuitBreaker(provider.name, {
+            failureThreshold: this._providerOption(provider, 'circuitBreakerThreshold'),
+            resetTimeoutMs: this._providerOption(provider, 'circuitBreakerTimeoutMs'),
+            halfOpenMaxProbes: this._providerOption(provider, 'circuitBreakerHalfOpenAttempts'),
+            failureRateThreshold: this._providerOption(provider, 'circuitBreakerFailureRateThreshold'),
+            rollingWindowMs: this._providerOption(provider, 'circuitBreakerRollingWindowMs'),
+            minimumRequests: this._providerOption(provider, 'circuitBreakerMinimumRequests'),
+            clock: this.clock
+        });
+        breaker.on('circuitOpened', ({ reason }) => this.logger.log(`Circuit for provider ${provider.name} opened due to ${reason}.`));
+        breaker.on('circuitHalfOpen', () => this.logger.log(`Circuit for provider ${provider.name} is half-open.`));
+        breaker.on('circuitClosed', () => this.logger.log(`Circuit for provider ${provider.name} closed after successful half-open attempt.`));
+        for (const event of ['circuitOpened', 'circuitHalfOpen', 'circuitClosed']) {
+            breaker.on(event, ({ state, previousState, reason }) => {
+                this._emit('circuitStateChanged', { provider: provider.name, state, previousState, reason });
+            });
+        }
+        return breaker;
+    }
+
+    /**
+     * Builds the retry policy for a provider: its own `retryPolicy` option, or the service policy
+     * with the provider's `maxRetries` and `initialRetryDelay` overrides applied.
+     * @param {Object} provider - The email provider.
+     * @returns {RetryPolicy}
+     * @private
+     */
+    _createRetryPolicy(provider) {
+        const own = provider.options.retryPolicy;
+        if (own instanceof RetryPolicy) return own;
+        const overrides = { ...own };
+        if (provider.options.maxRetries !== undefined) overrides.maxRetries = provider.options.maxRetries;
+        if (provider.options.initialRetryDelay !== undefined) overrides.initialDelayMs = provider.options.initialRetryDelay;
+        return Object.keys(overrides).length > 0 ? this.retryPolicy.with(overrides) : this.retryPolicy;
+    }
 
-        // If circuit was half-open and success occurred, close it.
-        // If it was closed, reset failure count.
-        if (state.isOpen) { // Means it was half-open
-            this.logger.log(`Circuit for provider ${provider.name || 'unknown'} closed after successful half-open attempt.`);
+    /**
+     * Lists the service-wide limits a message counts against: the global limit plus one
+     * token per recipient for each recipient domain that has a limit.
+     * @param {Object} message - The validated EmailMessage.
+     * @returns {Array<[string, number]>} Limiter keys and token counts.
+     * @private
+     */
+    _sharedLimitRequests(message) {
+        const domains = new Map();
+        for (const recipient of [...message.to, ...message.cc, ...message.bcc]) {
+            const key = `domain:${recipient.address.split('@').pop().toLowerCase()}`;
+            if (this.rateLimiter.has(key)) {
+                domains.set(key, (domains.get(key) || 0) + 1);
+            }
         }
-        state.isOpen = false;
-        state.failureCount = 0;
-        state.halfOpenAttempts = 0;
+        return [['global', 1], ...domains];
     }
 
     /**
-     * Checks if a new request can be made based on rate limiting rules.
-     * @returns {boolean} True if the request is allowed, false otherwise.
+     * Works out how long a message has to wait for the rate limits. Besides the global and
+     * domain limits, at least one provider the message is routed to, and that can take it,
+     * must have room. Nothing is consumed.
+     * @param {Object} message - The validated EmailMessage.
+     * @returns {number} 0 if the message may be sent now, otherwise milliseconds until it might.
      * @private
      */
-    _isRateLimited() {
-        const now = Date.now();
-        // Remove timestamps outside the current window
-        this.requestTimestamps = this.requestTimestamps.filter(timestamp =>
-            now - timestamp < this.rateLimitWindowMs
-        );
+    _rateLimitWait(message) {
+        const sharedWait = this.rateLimiter.msUntilAvailable(this._sharedLimitRequests(message));
+        if (sharedWait > 0) return sharedWait;
 
-        if (this.requestTimestamps.length >= this.maxRequestsPerWindow) {
+        let providerWait = Infinity;
+        let capable = false;
+        for (const providerIndex of this.router.order(this.providers, message)) {
+            const provider = this.providers[providerIndex];
+            if (this._unsupportedReason(provider, message)) continue;
+            capable = true;
+            providerWait = Math.min(providerWait, this.rateLimiter.msUntilAvailable([[`provider:${provider.name}`, 1]]));
+        }
+        // Waiting cannot help when no routed provider can take the message; _processSend reports why
+        return capable ? providerWait : 0;
+    }
+
+    /**
+     * Checks if a message can be sent now based on rate limiting rules, and if so counts it
+     * against the global and domain limits. Provider limits are taken in the provider loop.
+     * @param {Object} message - The validated EmailMessage.
+     * @returns {boolean} True if the message has to wait, false if it may be sent now.
+     * @private
+     */
+    _isRateLimited(message) {
+        const waitMs = this._rateLimitWait(message);
+        if (waitMs > 0) {
             this.logger.log('Rate limited: Too many requests.');
+            this._emit('rateLimited', { emailId: message.emailId, waitMs });
             return true;
         }
-        this.requestTimestamps.push(now);
+        this.rateLimiter.tryAcquire(this._sharedLimitRequests(message));
         return false;
     }
 
     /**
      * Adds an email sending task to the queue.
+     * The data is validated into an EmailMessage (see message.js), which is what providers receive.
+     * Address fields accept `"Name" <addr>` strings, comma separated lists, `{ name, address }` objects or arrays of those.
      * @param {Object} emailData - The email data.
      * @param {string} emailData.emailId - Unique ID for the email.
-     * @param {string} emailData.to - Recipient email.
+     * @param {string | Object | Array} emailData.to - Recipients.
+     * @param {string | Object | Array} [emailData.cc] - Carbon-copy recipients.
+     * @param {string | Object | Array} [emailData.bcc] - Blind carbon-copy recipients.
+     * @param {string | Object} [emailData.from] - Sender.
+     * @param {string | Object | Array} [emailData.replyTo] - Reply-To mailboxes.
      * @param {string} emailData.subject - Email subject.
-     * @param {string} emailData.body - Email body.
-     * @returns {Promise<string>} A Promise that resolves with the emailId or rejects if already queued/sent.
+     * @param {string} [emailData.text] - Plain-text body (`body` is accepted as an alias).
+     * @param {string} [emailData.html] - HTML body.
+     * @param {Array<Object>} [emailData.attachments] - Attachments given as content, stream or file path (see attachments.js).
+     * @param {Object<string, string>} [emailData.headers] - Extra headers.
+     * @param {Array<string>} [emailData.tags] - Tags.
+     * @param {Date | number | string} [emailData.sendAt] - Send at this time instead of now (a Date, epoch milliseconds or ISO string).
+     * @param {number} [emailData.delayMs] - Send after this many milliseconds instead of now.
+     * @param {string} [emailData.priority] - Queue lane used if the email has to wait for the rate limiter, e.g. 'critical', 'transactional' or 'bulk'.
+     * @param {Object} [options]
+     * @param {AbortSignal} [options.signal] - Aborts the send: a waiting email is dropped, and a provider attempt in progress
+     * is abandoned (its own signal is aborted too). The send rejects with code ABORTED.
+     * @param {Date | number | string} [options.deadline] - Latest time the email may still be sent, across queueing, scheduling,
+     * retries and fallback. When it passes the send is aborted the same way and rejects with code DEADLINE_EXCEEDED.
+     * @param {number} [options.hedgeDelayMs] - Hedge the send: if the first provider has not delivered the email within this
+     * many milliseconds, the next provider is started alongside it. The first to deliver wins and the other is aborted.
+     * Meant for latency-critical mail such as login codes; a provider that ignores its abort signal may deliver a second copy.
+     * @returns {Promise<SendResult>} A Promise that resolves with the send result, or rejects with an EmailSendError.
+     * Duplicates within the idempotency window resolve with the original result marked `fromCache`
+     * (or share the outcome of a send still in flight or scheduled); their options are ignored.
+     */
+    async sendEmail(emailData, options = {}) {
+        // Answer duplicates before the attachments are read, so a retried send leaves the caller's streams alone
+        const known = typeof emailData.emailId === 'string' ? this._getIdempotencyEntry(emailData.emailId) : undefined;
+        if (known) {
+            return this._duplicate(emailData.emailId, known);
+        }
+
+        const dueAt = resolveDueAt(emailData, this.clock.now());
+        const deadlineAt = resolveDeadline(options.deadline, emailData.emailId);
+        const hedgeDelayMs = options.hedgeDelayMs === undefined ? null : options.hedgeDelayMs;
+        if (hedgeDelayMs !== null && !(Number.isFinite(hedgeDelayMs) && hedgeDelayMs >= 0)) {
+            throw new EmailSendError(`hedgeDelayMs must be 0 or more milliseconds, got ${hedgeDelayMs}.`, {
+                code: ErrorCodes.VALIDATION,
+                emailId: emailData.emailId
+            });
+        }
+        const message = await prepareMessage(emailData, { maxMessageBytes: this.maxMessageBytes });
+        const { emailId } = message;
+
+        const reasons = this.providers.map(provider => this._unsupportedReason(provider, message));
+        if (reasons.every(reason => reason !== null)) {
+            throw new EmailSendError(`No provider can send email ${emailId}: ${reasons[0]}`, {
+                code: ErrorCodes.VALIDATION,
+                emailId
+            });
+        }
+        const unsatisfiable = this.rateLimiter.findUnsatisfiable(this._sharedLimitRequests(message));
+        if (unsatisfiable) {
+            throw new EmailSendError(`Email ${emailId} needs ${unsatisfiable[1]} sends from rate limit ${unsatisfiable[0]}, more than it ever allows at once.`, {
+                code: ErrorCodes.VALIDATION,
+                emailId
+            });
+        }
+        const priority = emailData.priority === undefined ? this.defaultPriority : emailData.priority;
+        if (!this.emailQueue.hasLane(priority)) {
+            throw new EmailSendError(`Unknown priority ${priority} for email ${emailId}.`, { code: ErrorCodes.VALIDATION, emailId });
+        }
+        message.priority = priority;
+
+        if (options.signal && options.signal.aborted) {
+            throw new EmailSendError(`Email ${emailId} was aborted before it was sent.`, { code: ErrorCodes.ABORTED, emailId, cause: options.signal.reason });
+        }
+        if (deadlineAt !== null && deadlineAt <= this.clock.now()) {
+            throw new EmailSendError(`The deadline for email ${emailId} has already passed.`, { code: ErrorCodes.DEADLINE_EXCEEDED, emailId });
+        }
+
+        // Claim the key before queueing so duplicates of a queued email are caught too.
+        // Another send (here or in a worker sharing the store) may have claimed it while the message was prepared.
+        if (!this._claimIdempotencyKey(emailId)) {
+            return this._duplicate(emailId, this._getIdempotencyEntry(emailId));
+        }
+        const control = this._createSendControl(emailId, options.signal, deadlineAt, hedgeDelayMs);
+        const promise = dueAt !== null && dueAt > this.clock.now()
+            ? this._schedule(message, dueAt, control)
+            : this._dispatch(message, control);
+        this._trackInFlight(emailId, promise);
+        promise.then(control.dispose, control.dispose);
+        return promise;
+    }
+
+    /**
+     * Answers a send whose idempotency key is already held.
+     * @param {string} emailId - The unique ID of the email.
+     * @param {{firstSeenAt: number, result?: SendResult} | undefined} entry - The idempotency entry.
+     * @returns {Promise<SendResult>} The original result marked `fromCache`, or the outcome of the send in flight.
+     * @throws {EmailSendError} DUPLICATE if the original result is not known.
+     * @private
+     */
+    _duplicate(emailId, entry) {
+        const fromCache = Boolean(entry && entry.result);
+        this.logger.log(`Email with ID ${emailId} already processed (idempotency).`);
+        this._emit('duplicate', { emailId, inFlight: this.inFlight.has(emailId), fromCache });
+        if (this.inFlight.has(emailId)) {
+            return this.inFlight.get(emailId).then(result => ({ ...result, fromCache: true }));
+        }
+        if (fromCache) {
+            return Promise.resolve({ ...entry.result, fromCache: true });
+        }
+        throw new EmailSendError(`Email with ID ${emailId} was already processed. Current status: ${this.getEmailStatus(emailId) || 'unknown'}`, {
+            code: ErrorCodes.DUPLICATE,
+            emailId
+        });
+    }
+
+    /**
+     * Ties the caller's signal and deadline to one AbortSignal for the whole send.
+     * Its reason is the EmailSendError (ABORTED or DEADLINE_EXCEEDED) the send rejects with.
+     * @param {string} emailId - The unique ID of the email.
+     * @param {AbortSignal} [callerSignal] - The caller's signal.
+     * @param {number | null} deadlineAt - Deadline in milliseconds since the epoch.
+     * @param {number | null} hedgeDelayMs - Hedge delay, carried along for the provider loop.
+     * @returns {SendControl}
+     * @private
+     */
+    _createSendControl(emailId, callerSignal, deadlineAt, hedgeDelayMs) {
+        if (!callerSignal && deadlineAt === null) {
+            return hedgeDelayMs === null ? NO_CONTROL : { ...NO_CONTROL, hedgeDelayMs };
+        }
+        const controller = new AbortController();
+        const onCallerAbort = () => controller.abort(new EmailSendError(`Email ${emailId} was aborted by the caller.`, {
+            code: ErrorCodes.ABORTED,
+            emailId,
+            cause: callerSignal.reason
+        }));
+        if (callerSignal) {
+            callerSignal.addEventListener('abort', onCallerAbort, { once: true });
+        }
+        const timer = deadlineAt === null ? null : this.clock.setTimeout(() => {
+            controller.abort(new EmailSendError(`Email ${emailId} missed its deadline of ${new Date(deadlineAt).toISOString()}.`, {
+                code: ErrorCodes.DEADLINE_EXCEEDED,
+                emailId
+            }));
+        }, deadlineAt - this.clock.now());
+        // A send already in progress notices the abort itself; a waiting one has to be taken out here
+        controller.signal.addEventListener('abort', () => this._abortWaiting(emailId, controller.signal.reason), { once: true });
+
+        return {
+            signal: controller.signal,
+            deadlineAt,
+            hedgeDelayMs,
+            dispose: () => {
+                if (callerSignal) callerSignal.removeEventListener('abort', onCallerAbort);
+                if (timer !== null) this.clock.clearTimeout(timer);
+            }
+        };
+    }
+
+    /**
+     * Drops an aborted email that is still queued or scheduled and rejects its promise.
+     * Nothing was sent, so its idempotency key is released.
+     * @param {string} emailId - The unique ID of the email.
+     * @param {EmailSendError} error - Why it was aborted.
+     * @private
+     */
+    _abortWaiting(emailId, error) {
+        const [item] = this.emailQueue.remove(queued => queued.message.emailId === emailId);
+        const scheduled = item ? null : this.scheduler.cancel(emailId);
+        const waiting = item || (scheduled && scheduled.payload);
+        if (!waiting) return;
+
+        this.logger.error(error.message);
+        this._setStatus(emailId, 'failed');
+        this.store.delete(IDEMPOTENCY_NAMESPACE, emailId);
+        this._journalDone(emailId);
+        this._emit('failed', { emailId, code: error.code, error, latencyMs: item ? this.clock.now() - item.enqueuedAt : 0 });
+        waiting.reject(error);
+    }
+
+    /**
+     * Registers a send as in flight until it settles, so duplicates can share its outcome.
+     * @param {string} emailId - The unique ID of the email.
+     * @param {Promise<SendResult>} promise - The pending send.
+     * @private
+     */
+    _trackInFlight(emailId, promise) {
+        this.inFlight.set(emailId, promise);
+        const settle = () => {
+            // A cancelled email may already have been sent again under the same ID
+            if (this.inFlight.get(emailId) === promise) {
+                this.inFlight.delete(emailId);
+            }
+        };
+        promise.then(settle, settle);
+    }
+
+    /**
+     * Holds an email until `dueAt`, then releases it through _dispatch.
+     * @param {Object} message - The validated EmailMessage.
+     * @param {number} dueAt - When to send, in milliseconds since the epoch.
+     * @param {SendControl} control - The send's abort signal and deadline.
+     * @returns {Promise<SendResult>} A Promise that settles once the email has been sent (or has failed or been cancelled).
+     * @private
+     */
+    _schedule(message, dueAt, control) {
+        const { emailId } = message;
+        this._setStatus(emailId, 'scheduled');
+        this._journalQueued(message, 'scheduled', dueAt);
+        this.logger.log(`Email ${emailId} scheduled for ${new Date(dueAt).toISOString()}.`);
+        return new Promise((resolve, reject) => {
+            this.scheduler.schedule(emailId, dueAt, { message, control, resolve, reject });
+        });
+    }
+
+    /**
+     * Called by the scheduler when a scheduled email falls due.
+     * @param {Object} entry - The scheduler entry; its payload holds the message and the caller's resolve/reject.
+     * @private
+     */
+    _releaseScheduled({ id: emailId, payload }) {
+        const { message, control, resolve, reject } = payload;
+        this.logger.log(`Scheduled email ${emailId} is due.`);
+        // The journal entry stays until the send settles, so a crash mid-send replays it
+        this._dispatch(message, control).then(
+            result => {
+                this._journalDone(emailId);
+                resolve(result);
+            },
+            error => {
+                this._journalDone(emailId);
+                reject(error);
+            }
+        );
+    }
+
+    /**
+     * Cancels a scheduled email before it is sent. Its promise rejects with an EmailCancelledError,
+     * and its idempotency key is released so the same ID can be sent again.
+     * @param {string} emailId - The unique ID of the email.
+     * @returns {boolean} True if the email was waiting and is now cancelled; false if it is not scheduled (any more).
+     */
+    cancelScheduledEmail(emailId) {
+        const entry = this.scheduler.cancel(emailId);
+        if (!entry) return false;
+
+        this._finishCancel(emailId, entry.payload.reject);
+        this.logger.log(`Scheduled email ${emailId} cancelled.`);
+        return true;
+    }
+
+    /**
+     * Cancels an email that is still waiting, either in the rate-limit queue or in the scheduler.
+     * Its promise rejects with an EmailCancelledError (code CANCELLED). An email a provider is
+     * already sending cannot be cancelled.
+     * @param {string} emailId - The unique ID of the email.
+     * @returns {boolean} True if the email was cancelled; false if it is not waiting.
+     */
+    cancelEmail(emailId) {
+        const [item] = this.emailQueue.remove(queued => queued.message.emailId === emailId);
+        if (!item) {
+            return this.cancelScheduledEmail(emailId);
+        }
+
+        this._finishCancel(emailId, item.reject);
+        this.logger.log(`Queued email ${emailId} cancelled.`);
+        return true;
+    }
+
+    /**
+     * Bookkeeping shared by every kind of cancellation.
+     * @param {string} emailId - The unique ID of the email.
+     * @param {Function} reject - Rejects the caller's promise.
+     * @private
+     */
+    _finishCancel(emailId, reject) {
+        this._setStatus(emailId, 'cancelled');
+        this.store.delete(IDEMPOTENCY_NAMESPACE, emailId);
+        this._journalDone(emailId);
+        reject(new EmailCancelledError(emailId));
+    }
+
+    /**
+     * Lists the emails waiting in the rate-limit queue, highest priority lane first and in arrival order within a lane.
+     * @returns {Array<{emailId: string, priority: string, to: Array<string>, subject: string, enqueuedAt: number, waitedMs: number}>} A snapshot of the queue.
+     */
+    getQueue() {
+        const now = this.clock.now();
+        return this.emailQueue.toArray().map(({ lane, item: { message, enqueuedAt } }) => ({
+            emailId: message.emailId,
+            priority: lane,
+            to: message.to.map(recipient => recipient.address),
+            subject: message.subject,
+            enqueuedAt,
+            waitedMs: now - enqueuedAt
+        }));
+    }
+
+    /**
+     * @param {string} [priority] - Only count this lane.
+     * @returns {number} Number of emails waiting in the rate-limit queue.
+     */
+    getQueueDepth(priority) {
+        return priority === undefined ? this.emailQueue.length : (this.emailQueue.depths()[priority] || 0);
+    }
+
+    /**
+     * Moves a scheduled email to a new time. A time in the past sends it right away.
+     * @param {string} emailId - The unique ID of the email.
+     * @param {Object} timing - Exactly one of:
+     * @param {Date | number | string} [timing.sendAt] - New send time.
+     * @param {number} [timing.delayMs] - New delay, counted from now.
+     * @returns {boolean} True if the email was rescheduled; false if it is not scheduled (any more).
+     * @throws {EmailSendError} With code VALIDATION if the timing is missing or invalid.
+     */
+    rescheduleEmail(emailId, timing = {}) {
+        const dueAt = resolveDueAt({ ...timing, emailId }, this.clock.now());
+        if (dueAt === null) {
+            throw new EmailSendError('rescheduleEmail needs sendAt or delayMs.', { code: ErrorCodes.VALIDATION, emailId });
+        }
+        if (!this.scheduler.reschedule(emailId, dueAt)) return false;
+
+        const entry = this.queueJournal && this.queueJournal.get(QUEUE_NAMESPACE, emailId);
+        if (entry) {
+            this.queueJournal.set(QUEUE_NAMESPACE, emailId, { ...entry, dueAt });
+        }
+        this.logger.log(`Email ${emailId} rescheduled for ${new Date(dueAt).toISOString()}.`);
+        return true;
+    }
+
+    /**
+     * Renders a registered template and sends the result.
+     * Rendering happens before anything is queued, so a missing variable fails with
+     * VALIDATION and never reaches a provider. When the template only has an HTML
+     * body, the plain-text part is derived from it.
+     * @param {Object} request - Any sendEmail field except subject/text/html, plus:
+     * @param {string} request.emailId - Unique ID for the email.
+     * @param {string} request.template - Registered template name.
+     * @param {string} [request.locale] - Preferred locale; falls back to the base language, then the registry default.
+     * @param {Object} [request.data={}] - Template variables.
+     * @param {Object} [options] - Same as sendEmail (signal, deadline, hedgeDelayMs).
+     * @returns {Promise<SendResult>} Same as sendEmail.
+     */
+    async sendTemplate(request, options) {
+        const { template, locale, data, ...emailData } = request;
+        let rendered;
+        try {
+            rendered = this.templates.render(template, { locale, data });
+        } catch (error) {
+            error.emailId = emailData.emailId;
+            throw error;
+        }
+        return this.sendEmail({ ...emailData, ...rendered }, options);
+    }
+
+    /**
+     * Sends many emails and yields each outcome as it completes (not in input order).
+     * Every message goes through sendEmail, so idempotency, rate limiting, retries and fallback
+     * apply per message. Providers that declare `capabilities.batch` receive the messages in
+     * batches through their `sendBatch` method.
+     * @param {Iterable<Object> | AsyncIterable<Object>} messages - sendEmail data for each email. Read lazily,
+     * so a generator or database cursor works for very large sends.
+     * @param {Object} [options]
+     * @param {number} [options.concurrency=50] - Most messages of this batch being sent (or queued) at once.
+     * @param {number} [options.maxFailureRatio] - Stop starting new messages once more than this share (0-1) of the
+     * completed ones failed. Messages already started still finish; the rest are yielded as `skipped`.
+     * @param {number} [options.minSamples=10] - Completed messages needed before maxFailureRatio is checked.
+     * @param {function(BatchProgress): void} [options.onProgress] - Called after every outcome.
+     * @param {AbortSignal} [options.signal] - Aborts every message of the batch (see sendEmail).
+     * @param {Date | number | string} [options.deadline] - Deadline for every message of the batch (see sendEmail).
+     * @returns {AsyncGenerator<BatchOutcome>} Outcomes as they complete.
+     */
+    async *sendBatch(messages, options = {}) {
+        const concurrency = options.concurrency || 50;
+        const maxFailureRatio = options.maxFailureRatio !== undefined ? options.maxFailureRatio : null;
+        const minSamples = options.minSamples || 10;
+        if (!Number.isInteger(concurrency) || concurrency < 1) {
+            throw new Error(`concurrency must be a positive integer, got ${options.concurrency}.`);
+        }
+        if (maxFailureRatio !== null && !(maxFailureRatio >= 0 && maxFailureRatio <= 1)) {
+            throw new Error(`maxFailureRatio must be between 0 and 1, got ${maxFailureRatio}.`);
+        }
+
+        /** @type {BatchProgress} */
+        const progress = { total: Array.isArray(messages) ? messages.length : null, started: 0, sent: 0, failed: 0, skipped: 0, stopped: false };
+        const report = () => {
+            if (!options.onProgress) return;
+            try {
+                options.onProgress({ ...progress });
+            } catch (error) {
+                this.logger.error(`Batch progress callback failed: ${error.message}`);
+            }
+        };
+
+        const iterator = messages[Symbol.asyncIterator] ? messages[Symbol.asyncIterator]() : messages[Symbol.iterator]();
+        /** @type {Array<BatchOutcome>} */
+        const settled = []; // Outcomes waiting to be yielded
+        let wake = null; // Resolves the wait for the next outcome
+        let active = 0;
+        let index = 0;
+        let exhausted = false;
+
+        const start = (emailData) => {
+            const outcomeIndex = index++;
+            active++;
+            progress.started++;
+            this.sendEmail(emailData, { signal: options.signal, deadline: options.deadline })
+                .then(
+                    result => ({ index: outcomeIndex, emailId: result.emailId, status: 'sent', result }),
+                    error => ({ index: outcomeIndex, emailId: error.emailId || (emailData && emailData.emailId), status: 'failed', error })
+                )
+                .then(outcome => {
+                    active--;
+                    settled.push(outcome);
+                    if (wake) {
+                        wake();
+                        wake = null;
+                    }
+                });
+        };
+        const stopping = () => progress.stopped || Boolean(options.signal && options.signal.aborted);
+
+        try {
+            for (;;) {
+                while (!exhausted && !stopping() && active < concurrency) {
+                    const next = await iterator.next();
+                    if (next.done) {
+                        exhausted = true;
+                        break;
+                    }
+                    start(next.value);
+                }
+                if (settled.length === 0) {
+                    if (active === 0) break; // Nothing left running, and nothing more will be started
+                    await new Promise(resolve => { wake = resolve; });
+                    continue;
+                }
+
+                const outcome = settled.shift();
+                progress[outcome.status]++;
+                const completed = progress.sent + progress.failed;
+                if (maxFailureRatio !== null && !progress.stopped && completed >= minSamples && progress.failed / completed > maxFailureRatio) {
+                    progress.stopped = true;
+                    this.logger.error(`Batch stopped: ${progress.failed} of ${completed} emails failed, over the ${maxFailureRatio} failure ratio.`);
+                }
+                report();
+                yield outcome;
+            }
+
+            // Whatever was never started is reported, so every input has an outcome
+            while (!exhausted) {
+                const next = await iterator.next();
+                if (next.done) {
+                    exhausted = true;
+                    break;
+                }
+                progress.skipped++;
+                report();
+                yield { index: index++, emailId: next.value && next.value.emailId, status: 'skipped' };
+            }
+        } finally {
+            // The consumer stopped early; sends already started still finish in the background
+            if (!exhausted && typeof iterator.return === 'function') {
+                await iterator.return();
+            }
+        }
+    }
+
+    /**
+     * Writes a failed email to the dead-letter store, keeping the history of earlier failures,
+     * and plans its automatic redrive if that is enabled.
+     * @param {Object} message - The validated EmailMessage.
+     * @param {EmailSendError} error - Why it failed.
+     * @private
+     */
+    _deadLetter(message, error) {
+        const { emailId } = message;
+        const now = this.clock.now();
+        const existing = this.deadLetterStore.get(DEAD_LETTER_NAMESPACE, emailId);
+        /** @type {DeadLetter} */
+        const entry = {
+            emailId,
+            message: serializeMessage(message),
+            code: error.code,
+            error: error.message,
+            providerErrors: error.providerErrors || [],
+            firstFailedAt: existing ? existing.firstFailedAt : now,
+            lastFailedAt: now,
+            redriveCount: existing ? existing.redriveCount : 0,
+            nextRedriveAt: null
+        };
+
+        const policy = this.deadLetterRedrive;
+        if (policy && error.code !== ErrorCodes.PERMANENT_FAILURE && entry.redriveCount < policy.maxRedrives) {
+            const delayMs = Math.min(policy.maxDelayMs, policy.initialDelayMs * policy.multiplier ** entry.redriveCount);
+            entry.nextRedriveAt = now + delayMs;
+            this.redriveScheduler.schedule(emailId, entry.nextRedriveAt);
+        }
+        this.deadLetterStore.set(DEAD_LETTER_NAMESPACE, emailId, entry);
+        this.logger.log(`Email ${emailId} moved to the dead-letter store (${error.code}).`);
+        this._emit('deadLettered', { emailId, code: error.code, redriveCount: entry.redriveCount, nextRedriveAt: entry.nextRedriveAt });
+    }
+
+    /**
+     * Removes an email from the dead-letter store once it has been sent.
+     * @param {string} emailId - The unique ID of the email.
+     * @private
+     */
+    _clearDeadLetter(emailId) {
+        this.redriveScheduler.cancel(emailId);
+        if (this.deadLetterStore.has(DEAD_LETTER_NAMESPACE, emailId)) {
+            this.deadLetterStore.delete(DEAD_LETTER_NAMESPACE, emailId);
+        }
+    }
+
+    /**
+     * @param {function(DeadLetter): boolean} [filter] - Only list the entries this returns true for.
+     * @returns {Array<DeadLetter>} Dead-lettered emails, most recently failed first.
+     */
+    listDeadLetters(filter = () => true) {
+        return this.deadLetterStore.entries(DEAD_LETTER_NAMESPACE)
+            .map(([, entry]) => entry)
+            .filter(filter)
+            .sort((a, b) => b.lastFailedAt - a.lastFailedAt);
+    }
+
+    /**
+     * Sends a dead-lettered email again. The email was never delivered, so the idempotency
+     * key left by the failed send does not block it. On success it leaves the dead-letter
+     * store; on failure its entry is updated and stays.
+     * @param {string} emailId - The unique ID of the email.
+     * @returns {Promise<SendResult>} Same as sendEmail. Rejects with VALIDATION if the email is not
+     * dead-lettered, or with DUPLICATE if it is already being sent.
+     */
+    redrive(emailId) {
+        const entry = this.deadLetterStore.get(DEAD_LETTER_NAMESPACE, emailId);
+        if (!entry) {
+            return Promise.reject(new EmailSendError(`Email ${emailId} is not in the dead-letter store.`, { code: ErrorCodes.VALIDATION, emailId }));
+        }
+        if (this.inFlight.has(emailId)) {
+            return Promise.reject(new EmailSendError(`Email ${emailId} is already being sent.`, { code: ErrorCodes.DUPLICATE, emailId }));
+        }
+
+        // The key is taken over from the failed send; of several workers redriving at once, one wins
+        const key = this.store.get(IDEMPOTENCY_NAMESPACE, emailId);
+        if (!this.store.compareAndSet(IDEMPOTENCY_NAMESPACE, emailId, key, { firstSeenAt: this.clock.now() })) {
+            return Promise.reject(new EmailSendError(`Email ${emailId} is already being sent.`, { code: ErrorCodes.DUPLICATE, emailId }));
+        }
+        this.redriveScheduler.cancel(emailId);
+        const redriveCount = entry.redriveCount + 1;
+        this.deadLetterStore.set(DEAD_LETTER_NAMESPACE, emailId, { ...entry, redriveCount, nextRedriveAt: null });
+        this.logger.log(`Redriving dead-lettered email ${emailId} (redrive ${redriveCount}).`);
+        this._emit('redriven', { emailId, redriveCount });
+
+        const promise = this._dispatch(deserializeMessage(entry.message));
+        this._trackInFlight(emailId, promise);
+        return promise;
+    }
+
+    /**
+     * Redrives every dead-lettered email that matches a filter.
+     * @param {function(DeadLetter): boolean} [filter] - Only redrive the entries this returns true for.
+     * @returns {Promise<Array<{emailId: string, status: 'sent' | 'failed', result?: SendResult, error?: EmailSendError}>>}
+     * One outcome per email, once all have settled.
+     */
+    redriveAll(filter) {
+        return Promise.all(this.listDeadLetters(filter).map(({ emailId }) => this.redrive(emailId).then(
+            result => ({ emailId, status: 'sent', result }),
+            error => ({ emailId, status: 'failed', error })
+        )));
+    }
+
+    /**
+     * Called by the redrive scheduler when an automatic redrive is due.
+     * A failed redrive is dead-lettered again with the next, longer delay.
+     * @param {string} emailId - The unique ID of the email.
+     * @private
+     */
+    _autoRedrive(emailId) {
+        this.redrive(emailId).then(
+            () => this.logger.log(`Automatic redrive of email ${emailId} succeeded.`),
+            error => this.logger.error(`Automatic redrive of email ${emailId} failed: ${error.message}`)
+        );
+    }
+
+    /**
+     * Records in the journal that this worker is alive, so other workers leave its entries alone.
+     * @private
+     */
+    _heartbeat() {
+        this.queueJournal.set(WORKER_NAMESPACE, this.workerId, { heartbeatAt: this.clock.now() });
+    }
+
+    /**
+     * Re-queues emails the journal still holds as pending or processing, i.e. emails
+     * that were queued by a worker that stopped before sending them.
+     * Scheduled emails go back to the scheduler with their original send time.
+     * Runs on startup and with every heartbeat.
+     * @private
      */
-    async sendEmail(emailData) {
-        const { emailId, to, subject, body } = emailData;
+    _replayQueueJournal() {
+        const entries = this.queueJournal.entries(QUEUE_NAMESPACE);
+        let replayed = 0;
+        let rescheduled = 0;
+        for (const [emailId, entry] of entries) {
+            if (this.inFlight.has(emailId) || this._isWorkerAlive(entry.owner)) continue;
+            const status = this.getEmailStatus(emailId);
+            if (status === 'sent' || status === 'failed') {
+                // Finished before the journal entry was closed
+                this.queueJournal.delete(QUEUE_NAMESPACE, emailId);
+                continue;
+            }
+            if (!this._adoptJournalEntry(emailId, entry)) {
+                continue; // Another worker took it first
+            }
+
+            // Nobody is awaiting a replayed email, so its outcome is only logged.
+            // It is registered as in flight so a caller retrying the same ID shares it.
+            const message = deserializeMessage(entry.message);
+            let promise;
+            if (entry.state === 'scheduled') {
+                promise = new Promise((resolve, reject) => {
+                    this.scheduler.schedule(emailId, entry.dueAt, { message, resolve, reject });
+                });
+                rescheduled++;
+            } else {
+                promise = new Promise((resolve, reject) => {
+                    // The wait limit counts from the replay, not from before the restart
+                    const lane = this.emailQueue.hasLane(message.priority) ? message.priority : this.defaultPriority;
+                    if (!this.emailQueue.push({ message, resolve, reject, enqueuedAt: this.clock.now() }, lane)) {
+                        this._setStatus(emailId, 'failed');
+                        this._journalDone(emailId);
+                        reject(new EmailSendError(`Queue lane ${lane} is full; replayed email ${emailId} was dropped.`, { code: ErrorCodes.QUEUE_FULL, emailId }));
+                    }
+                });
+                this._setStatus(emailId, 'pending');
+                replayed++;
+            }
+            this._trackInFlight(emailId, promise);
+            promise.then(
+                () => this.logger.log(`Replayed email ${emailId} sent.`),
+                error => this.logger.error(`Replayed email ${emailId} failed: ${error.message}`)
+            );
+        }
+
+        if (rescheduled > 0) {
+            this.logger.log(`Restored ${rescheduled} scheduled email(s) from the journal.`);
+        }
 
-        if (!emailId || !to || !subject || !body) {
-            throw new Error('Email data must include emailId, to, subject, and body.');
+        if (replayed > 0) {
+            this.logger.log(`Replaying ${replayed} queued email(s) from the journal.`);
+            setImmediate(() => this._processQueue()); // Let the caller finish setting up first
         }
+    }
+
+    /**
+     * Whether another worker still owns journal entries, i.e. sent a heartbeat within workerTimeoutMs.
+     * @param {string | undefined} owner - The workerId of a journal entry.
+     * @returns {boolean}
+     * @private
+     */
+    _isWorkerAlive(owner) {
+        if (!owner || owner === this.workerId) return false;
+        const worker = this.queueJournal.get(WORKER_NAMESPACE, owner);
+        return Boolean(worker) && this.clock.now() - worker.heartbeatAt < this.workerTimeoutMs;
+    }
 
-        // Idempotency check
-        if (this.sentEmailIds.has(emailId)) {
-            this.logger.log(`Email with ID ${emailId} already processed (idempotency).`);
-            return `Email with ID ${emailId} was already sent. Current status: ${this.emailStatuses.get(emailId) || 'unknown'}`;
+    /**
+     * Takes over a journal entry and its idempotency key before the email is re-queued.
+     * Both are compare-and-set, so of several workers replaying the same journal only one wins.
+     * @param {string} emailId - The unique ID of the email.
+     * @param {Object} entry - The journal entry as read.
+     * @returns {boolean} False if another worker changed either first.
+     * @private
+     */
+    _adoptJournalEntry(emailId, entry) {
+        if (!this.queueJournal.compareAndSet(QUEUE_NAMESPACE, emailId, entry, { ...entry, owner: this.workerId })) {
+            return false;
         }
+        const key = this.store.get(IDEMPOTENCY_NAMESPACE, emailId);
+        return this.store.compareAndSet(IDEMPOTENCY_NAMESPACE, emailId, key, { firstSeenAt: key ? key.firstSeenAt : this.clock.now() });
+    }
 
-        if (this._isRateLimited()) {
-            this.logger.log(`Email with ID ${emailId} is rate-limited. Queuing...`);
+    /**
+     * Records the journal state of a queued or scheduled email. No-op unless the queue is durable.
+     * @param {Object} message - The validated EmailMessage.
+     * @param {'scheduled' | 'pending' | 'processing'} state - Journal state.
+     * @param {number} [dueAt] - Send time, for scheduled emails.
+     * @private
+     */
+    _journalQueued(message, state, dueAt) {
+        if (!this.queueJournal) return;
+        const entry = this.queueJournal.get(QUEUE_NAMESPACE, message.emailId);
+        this.queueJournal.set(QUEUE_NAMESPACE, message.emailId, {
+            message: serializeMessage(message),
+            state,
+            owner: this.workerId,
+            queuedAt: entry ? entry.queuedAt : this.clock.now(),
+            ...(dueAt !== undefined ? { dueAt } : {})
+        });
+    }
+
+    /**
+     * Marks a queued email as done (sent, failed or cancelled) by removing it from the journal.
+     * @param {string} emailId - The unique ID of the email.
+     * @private
+     */
+    _journalDone(emailId) {
+        if (!this.queueJournal) return;
+        this.queueJournal.delete(QUEUE_NAMESPACE, emailId);
+    }
+
+    /**
+     * Sends an email now, or queues it if the service is rate limited or the same emailId is still being sent.
+     * @param {Object} message - The validated EmailMessage.
+     * @param {SendControl} [control] - The send's abort signal and deadline; none for replayed emails.
+     * @returns {Promise<SendResult>} A Promise that resolves with the send result.
+     * @private
+     */
+    _dispatch(message, control = NO_CONTROL) {
+        const { emailId } = message;
+
+        const locked = this.sending.has(emailId);
+        if (locked || this._isRateLimited(message)) {
+            if (this.emailQueue.isFull(message.priority)) {
+                const errorMessage = `Queue lane ${message.priority} is full; email ${emailId} was rejected.`;
+                this.logger.error(errorMessage);
+                // Nothing was sent, so the caller may try the same ID again later
+                this._setStatus(emailId, 'failed');
+                this.store.delete(IDEMPOTENCY_NAMESPACE, emailId);
+                const error = new EmailSendError(errorMessage, { code: ErrorCodes.QUEUE_FULL, emailId });
+                this._emit('failed', { emailId, code: error.code, error, latencyMs: 0 });
+                return Promise.reject(error);
+            }
+            this.logger.log(locked
+                ? `Email with ID ${emailId} is already being sent. Queuing behind it...`
+                : `Email with ID ${emailId} is rate-limited. Queuing...`);
+            // Journal first: once the caller holds the promise, the email must survive a crash
+            this._journalQueued(message, 'pending');
+            this._setStatus(emailId, 'pending');
             return new Promise((resolve, reject) => {
-                this.emailQueue.push({ emailData, resolve, reject });
+                this.emailQueue.push({ message, control, resolve, reject, enqueuedAt: this.clock.now() }, message.priority);
+                this._emit('queued', { emailId, priority: message.priority, queueDepth: this.emailQueue.length });
                 this._processQueue(); // Try to process the queue immediately
             });
         }
 
-        // Add to idempotency set and set status to processing
-        this.sentEmailIds.add(emailId);
-        this.emailStatuses.set(emailId, 'processing');
+        this._setStatus(emailId, 'processing');
         this.logger.log(`Email ${emailId} added to processing.`);
 
-        return this._processSend(emailData);
+        return this._processSend(message, control);
     }
 
     /**
      * Processes an email sending task directly (used by sendEmail and queue).
-     * @param {Object} emailData - The email data.
-     * @returns {Promise<string>} A Promise that resolves with a success message or rejects with an error.
+     * @param {Object} message - The validated EmailMessage.
+     * @param {SendControl} [control] - The send's abort signal and deadline.
+     * @returns {Promise<SendResult>} A Promise that resolves with the send result or rejects with an EmailSendError.
      * @private
      */
-    async _processSend(emailData) {
-        const { emailId, to, subject, body } = emailData;
+    async _processSend(message, control = NO_CONTROL) {
+        const { emailId } = message;
+        const startedAt = this.clock.now();
+        this.sending.add(emailId);
 
-        let lastError = null; // MOVED DECLARATION HERE for wider scope
+        /** @type {Array<ProviderAttempts>} */
+        const attempts = [];
+        /** @type {Array<Object>} */
+        const providerErrors = []; // ProviderErrorDetail entries, see errors.js
+        const tries = { attempts, providerErrors, rawMessage: null }; // rawMessage is built on first use by a provider that wants raw MIME
 
         try {
-            // Iterate through providers for fallback
-            for (let i = 0; i < this.providers.length; i++) {
-                const providerIndex = (this.currentProviderIndex + i) % this.providers.length;
-                const provider = this.providers[providerIndex];
-
-                if (this._isCircuitOpen(provider)) {
-                    this.logger.log(`Skipping provider ${provider.name || 'unknown'} for email ${emailId} because circuit is open.`);
-                    lastError = new Error(`Circuit open for ${provider.name || 'unknown'}`);
-                    continue; // Try next provider if current is open
-                }
+            // Providers in the order the routing strategy picks; the lanes of a hedged send take turns pulling from it
+            const order = this.router.order(this.providers, message)[Symbol.iterator]();
+            const delivered = control.hedgeDelayMs !== null
+                ? await this._runHedged(emailId, control, lane => this._tryProviders(order, message, tries, lane))
+                : await this._tryProviders(order, message, tries, control);
 
-                try {
-                    const result = await retryWithBackoff(
-                        () => provider(to, subject, body),
-                        this.maxRetries,
-                        this.initialRetryDelay,
-                        emailId,
-                        this.logger // Pass the logger object here
-                    );
-                    this._recordSuccess(provider); // Record success for circuit breaker
-                    this.emailStatuses.set(emailId, 'sent');
-                    this.currentProviderIndex = providerIndex; // Stick with successful provider for next attempt
-                    this.logger.log(`Email ${emailId} successfully sent via provider ${provider.name || 'unknown'}.`);
-                    return result; // Email sent successfully, return result
-                } catch (error) {
-                    lastError = error;
-                    this.logger.log(`Provider ${provider.name || 'unknown'} failed for email ${emailId}. Trying next provider...`);
-                    this.logger.error(`Error for ${emailId} with provider ${provider.name || 'unknown'}: ${error.message}`); // Use .error here
-                    this._recordFailure(provider); // Record failure for circuit breaker
-                }
+            if (delivered) {
+                const { providerIndex, response } = delivered;
+                const providerName = this.providers[providerIndex].name;
+                /** @type {SendResult} */
+                const result = {
+                    emailId,
+                    provider: providerName,
+                    providerIndex,
+                    attempts: attempts.map(entry => ({ ...entry })), // A hedged attempt may still add to these
+                    latencyMs: this.clock.now() - startedAt,
+                    messageId: extractMessageId(response),
+                    fromCache: false,
+                    response
+                };
+                this._setStatus(emailId, 'sent');
+                this._rememberResult(emailId, result);
+                this._clearDeadLetter(emailId);
+                this.logger.log(`Email ${emailId} successfully sent via provider ${providerName}.`);
+                this._emit('sent', {
+                    emailId,
+                    provider: providerName,
+                    providerIndex,
+                    attempts: attempts.reduce((total, entry) => total + entry.attempts, 0),
+                    latencyMs: result.latencyMs,
+                    result
+                });
+                return result; // Email sent successfully, return result
             }
 
-            // If all providers failed
-            this.emailStatuses.set(emailId, 'failed');
-            const errorMessage = `All providers failed for email ${emailId}. Last error: ${lastError ? lastError.message : 'Unknown error.'}`;
+            // If all providers failed (or were skipped)
+            const tried = providerErrors.filter(detail => detail.attempts > 0);
+            if (tried.length === 0) {
+                // Limits are checked before sending, so a rate limit only shows up here when another send took the last tokens
+                const skippedFor = code => providerErrors.some(detail => detail.code === code);
+                let code = ErrorCodes.UNSUPPORTED;
+                let errorMessage = providerErrors.length === 0
+                    ? `No provider is routed for email ${emailId}; it was not attempted.`
+                    : `No provider on the route for email ${emailId} can send it; it was not attempted. ${providerErrors[0].message}`;
+                if (skippedFor(ErrorCodes.RATE_LIMITED)) {
+                    code = ErrorCodes.RATE_LIMITED;
+                    errorMessage = `Every available provider is at its rate limit; email ${emailId} was not attempted.`;
+                } else if (skippedFor(ErrorCodes.CIRCUIT_OPEN)) {
+                    code = ErrorCodes.CIRCUIT_OPEN;
+                    errorMessage = `Circuit open for every provider; email ${emailId} was not attempted.`;
+                }
+                this.logger.error(errorMessage);
+                throw new EmailSendError(errorMessage, { code, emailId, providerErrors });
+            }
+            const errorMessage = `All providers failed for email ${emailId}. Last error: ${tried[tried.length - 1].message}`;
             this.logger.error(errorMessage); // Use .error here
-            throw new Error(errorMessage);
+            throw new EmailSendError(errorMessage, { code: ErrorCodes.ALL_PROVIDERS_FAILED, emailId, providerErrors });
 
         } catch (error) {
-            this.emailStatuses.set(emailId, 'failed');
-            // If an error occurs that wasn't caught by the provider loop, log it.
-            // lastError is now accessible here.
-            if (lastError === null || lastError.message !== error.message) { // Check if it's a new, unhandled error
+            this._setStatus(emailId, 'failed');
+            let failure = error; // Re-thrown for the caller to handle
+            if (!(error instanceof EmailSendError)) {
+                // An error that wasn't caught by the provider loop is a bug in the service itself
                 this.logger.error(`Unhandled error during email ${emailId} processing: ${error.message}`);
+                failure = new EmailSendError(`Unexpected error while sending email ${emailId}: ${error.message}`, {
+                    code: ErrorCodes.INTERNAL,
+                    emailId,
+                    providerErrors,
+                    cause: error
+                });
+            }
+            if (failure.code !== ErrorCodes.ABORTED && failure.code !== ErrorCodes.DEADLINE_EXCEEDED) {
+                this._deadLetter(message, failure); // The caller gave up on aborted ones, so they are not kept
             }
-            throw error; // Re-throw the error for the caller to handle
+            this._emit('failed', { emailId, code: failure.code, error: failure, latencyMs: this.clock.now() - startedAt });
+            throw failure;
         } finally {
+            this.sending.delete(emailId);
             // This is important: ensure the queue continues processing if possible
             this._processQueue();
         }
     }
 
     /**
-     * Processes items from the email queue.
+     * Tries providers one after another, each with its retries, until one delivers the email.
+     * Providers that fail or are skipped are added to `tries.providerErrors`.
+     * @param {Iterator<number>} order - Indexes of the providers still to try, shared by the lanes of a hedged send.
+     * @param {Object} message - The validated EmailMessage.
+     * @param {{attempts: Array<ProviderAttempts>, providerErrors: Array<Object>, rawMessage: Object | null}} tries - What the send has tried so far.
+     * @param {SendControl} control - The abort signal and deadline of the send, or of one hedged lane.
+     * @returns {Promise<{providerIndex: number, response: *} | null>} The provider that delivered the email, or null once `order` runs out.
+     * Rejects with the abort reason, or with PERMANENT_FAILURE when a provider rejects the email permanently.
      * @private
      */
-    async _processQueue() {
-        if (this.isProcessingQueue || this.emailQueue.length === 0) {
-            return;
-        }
+    async _tryProviders(order, message, tries, control) {
+        const { emailId } = message;
+        const { attempts, providerErrors } = tries;
 
-        this.isProcessingQueue = true;
-        while (this.emailQueue.length > 0) {
-            if (this._isRateLimited()) {
-                this.logger.log('Rate limited: Stopping queue processing temporarily.');
-                break;
+        // for...of leaves a shared array iterator usable: it has no return() for an early exit to call
+        for (const providerIndex of order) {
+            const provider = this.providers[providerIndex];
+            const providerName = provider.name;
+
+            if (control.signal && control.signal.aborted) {
+                throw control.signal.reason;
+            }
+
+            const breaker = this.circuitBreakers.get(providerName);
+            const permit = breaker.tryAcquire();
+            if (!permit) {
+                this.logger.log(breaker.state === CircuitStates.OPEN
+                    ? `Provider ${providerName}: circuit is open. Blocking request.`
+                    : `Provider ${providerName}: circuit is half-open and its probe slots are taken. Blocking request.`);
+                this.logger.log(`Skipping provider ${providerName} for email ${emailId} because circuit is open.`);
+                providerErrors.push({
+                    provider: providerName,
+                    providerIndex,
+                    code: ErrorCodes.CIRCUIT_OPEN,
+                    message: `Circuit open for ${providerName}`,
+                    attempts: 0
+                });
+                continue; // Try next provider if current is open
             }
 
-            const { emailData, resolve, reject } = this.emailQueue.shift();
+            const unsupported = this._unsupportedReason(provider, message);
+            if (unsupported) {
+                breaker.release(permit);
+                this.logger.log(`Skipping provider ${providerName} for email ${emailId}: ${unsupported}`);
+                providerErrors.push({
+                    provider: providerName,
+                    providerIndex,
+                    code: ErrorCodes.UNSUPPORTED,
+                    message: unsupported,
+                    attempts: 0
+                });
+                continue;
+            }
+
+            if (this.rateLimiter.tryAcquire([[`provider:${providerName}`, 1]]) > 0) {
+                breaker.release(permit);
+                this.logger.log(`Skipping provider ${providerName} for email ${emailId}: rate limit reached.`);
+                providerErrors.push({
+                    provider: providerName,
+                    providerIndex,
+                    code: ErrorCodes.RATE_LIMITED,
+                    message: `Rate limit reached for ${providerName}`,
+                    attempts: 0
+                });
+                continue;
+            }
+
+            let payload = message;
+            if (provider.capabilities.rawMime) {
+                tries.rawMessage = tries.rawMessage || { ...message, raw: buildMimeMessage(message) };
+                payload = tries.rawMessage;
+            }
+
+            const previous = providerErrors[providerErrors.length - 1];
+            if (previous) {
+                this._emit('fallback', { emailId, provider: providerName, providerIndex, previousProvider: previous.provider });
+            }
+
+            let attemptCount = 0;
+            let attemptStartedAt = 0;
+            const tried = { provider: providerName, providerIndex, attempts: 0 };
+            attempts.push(tried);
+            const providerStartedAt = this.clock.now();
             try {
-                const result = await this._processSend(emailData);
-                resolve(result);
+                const response = await this.retryPolicies.get(providerName).run(
+                    () => {
+                        tried.attempts = ++attemptCount;
+                        attemptStartedAt = this.clock.now();
+                        this._emit('attempt', { emailId, provider: providerName, providerIndex, attempt: attemptCount });
+                        return this._timeAttempt(providerName, this._callProvider(provider, payload, attemptCount, control), control);
+                    },
+                    {
+                        emailId,
+                        logger: this.logger,
+                        signal: control.signal,
+                        // A provider that hung once is likely to hang again, and one that says retrying cannot help
+                        // (e.g. it cannot build the request) never will, so move on to the next one
+                        stopRetrying: error => error.code === ErrorCodes.TIMEOUT || error.tryNextProvider === true,
+                        onRetry: ({ attempt, delayMs, error }) => {
+                            this._emit('retry', { emailId, provider: providerName, providerIndex, attempt, delayMs, error });
+                        }
+                    }
+                );
+                breaker.recordSuccess(permit); // Record success for circuit breaker
+                this._observeProvider(providerIndex, attemptStartedAt);
+                return { providerIndex, response };
             } catch (error) {
+                if (control.signal && control.signal.aborted) {
+                    // The caller gave up or another hedged attempt won, which says nothing about the provider's health
+                    breaker.release(permit);
+                    throw control.signal.reason;
+                }
+                const timedOut = Boolean(error.cause && error.cause.code === ErrorCodes.TIMEOUT);
+                const code = error.permanent ? ErrorCodes.PERMANENT_FAILURE : timedOut ? ErrorCodes.TIMEOUT : ErrorCodes.PROVIDER_ERROR;
+                providerErrors.push({
+                    provider: providerName,
+                    providerIndex,
+                    code,
+                    message: error.message,
+                    attempts: attemptCount
+                });
+                this._emit('providerFailed', {
+                    emailId,
+                    provider: providerName,
+                    providerIndex,
+                    attempts: attemptCount,
+                    durationMs: this.clock.now() - providerStartedAt,
+                    permanent: Boolean(error.permanent),
+                    error
+                });
+                this.logger.error(`Error for ${emailId} with provider ${providerName}: ${error.message}`); // Use .error here
+                if (error.permanent) {
+                    // The provider answered and rejected the email itself (e.g. an invalid recipient), so it
+                    // says nothing about the provider's health and another provider would reject it too
+                    breaker.release(permit);
+                    const errorMessage = `Provider ${providerName} permanently rejected email ${emailId}; not trying other providers. ${error.message}`;
+                    this.logger.error(errorMessage);
+                    throw new EmailSendError(errorMessage, {
+                        code: ErrorCodes.PERMANENT_FAILURE,
+                        emailId,
+                        providerErrors,
+                        cause: error.cause
+                    });
+                }
+                this.logger.log(`Provider ${providerName} failed for email ${emailId}. Trying next provider...`);
+                breaker.recordFailure(permit); // Record failure for circuit breaker
+                this._observeProvider(providerIndex, attemptStartedAt, { code, message: error.message });
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Runs the provider loop of a hedged send. A first lane starts at once; if it has not delivered
+     * the email within `control.hedgeDelayMs`, a second lane starts on the next provider. The first
+     * lane to deliver wins and the other one is aborted, so its provider gets an abort signal.
+     * @param {string} emailId - The unique ID of the email.
+     * @param {SendControl} control - The send's abort signal, deadline and hedge delay.
+     * @param {function(SendControl): Promise<Object | null>} runLane - Runs the provider loop under a lane's control.
+     * @returns {Promise<Object | null>} The winning lane's outcome, or null once both lanes ran out of providers.
+     * @private
+     */
+    _runHedged(emailId, control, runLane) {
+        return new Promise((resolve, reject) => {
+            /** @type {Array<{controller: AbortController, done: boolean}>} */
+            const lanes = [];
+            let hedgeTimer = null;
+            let settled = false;
+
+            const settle = (outcome, error) => {
+                if (settled) return;
+                settled = true;
+                if (hedgeTimer !== null) this.clock.clearTimeout(hedgeTimer);
+                const reason = new Error(`Email ${emailId} was settled by another hedged attempt.`);
+                for (const lane of lanes) {
+                    if (!lane.done) lane.controller.abort(reason);
+                }
+                if (error) reject(error);
+                else resolve(outcome);
+            };
+
+            const startLane = () => {
+                const lane = { controller: new AbortController(), done: false };
+                lanes.push(lane);
+                const onAbort = () => lane.controller.abort(control.signal.reason);
+                if (control.signal) {
+                    if (control.signal.aborted) onAbort();
+                    else control.signal.addEventListener('abort', onAbort, { once: true });
+                }
+                runLane({ signal: lane.controller.signal, deadlineAt: control.deadlineAt, hedgeDelayMs: null, dispose: () => {} })
+                    .then(
+                        outcome => {
+                            lane.done = true;
+                            if (outcome && settled) {
+                                const { name } = this.providers[outcome.providerIndex];
+                                this.logger.error(`Hedged attempt via ${name} also delivered email ${emailId}; the recipient may get it twice.`);
+                            }
+                            // Once a lane runs out of providers there is nothing left for a new lane either
+                            if (outcome || lanes.every(entry => entry.done)) settle(outcome);
+                        },
+                        error => {
+                            lane.done = true;
+                            settle(null, error);
+                        }
+                    )
+                    .finally(() => {
+                        if (control.signal) control.signal.removeEventListener('abort', onAbort);
+                    });
+            };
+
+            startLane();
+            hedgeTimer = this.clock.setTimeout(() => {
+                hedgeTimer = null;
+                if (settled) return;
+                this.logger.log(`Email ${emailId} not delivered after ${control.hedgeDelayMs}ms; hedging with the next provider.`);
+                this._emit('hedged', { emailId, delayMs: control.hedgeDelayMs });
+                startLane();
+            }, control.hedgeDelayMs);
+        });
+    }
+
+    /**
+     * Tells the routing strategy and the provider's health record how a provider did.
+     * @param {number} providerIndex - Index of the provider in the provider list.
+     * @param {number} attemptStartedAt - Start of its last attempt.
+     * @param {{code: string, message: string} | null} [error=null] - Why it failed; null when it delivered the email.
+     * @private
+     */
+    _observeProvider(providerIndex, attemptStartedAt, error = null) {
+        const now = this.clock.now();
+        const success = error === null;
+        const latencyMs = now - attemptStartedAt;
+        this.health.get(this.providers[providerIndex].name).record({ at: now, success, latencyMs, source: 'send', error });
+        if (this.router.observe) {
+            this.router.observe({ providerIndex, success, latencyMs });
+        }
+    }
+
+    /**
+     * Reports the health of every provider and whether the service can send email,
+     * in a form that can be served from a health endpoint as JSON.
+     * @returns {HealthReport}
+     */
+    getHealth() {
+        const providers = this.providers.map(provider => {
+            const { state } = this.circuitBreakers.get(provider.name);
+            const report = this.health.get(provider.name).report();
+            const healthy = state === CircuitStates.CLOSED && (report.lastCheck === null || report.lastCheck.healthy);
+            return { name: provider.name, state, healthy, ...report };
+        });
+        const ready = providers.some(provider => provider.state !== CircuitStates.OPEN);
+        return {
+            status: !ready ? 'down' : providers.every(provider => provider.healthy) ? 'ok' : 'degraded',
+            ready,
+            timestamp: this.clock.now(),
+            providers
+        };
+    }
+
+    /**
+     * Runs the health check of every provider that has one, now.
+     * A provider whose circuit does not admit a request (open, or half-open with its probe slots taken) is not checked.
+     * @returns {Promise<HealthReport>} The health once every check has finished.
+     */
+    async checkHealth() {
+        await Promise.all(this.providers.filter(provider => provider.healthCheck).map(provider => this._probeProvider(provider)));
+        return this.getHealth();
+    }
+
+    /**
+     * Arms the timer for the next round of health checks. Rounds never overlap:
+     * the next one is planned once the previous one has finished.
+     * @private
+     */
+    _scheduleHealthCheck() {
+        this.healthCheckTimer = this.clock.setTimeout(() => {
+            this.healthCheckTimer = null;
+            this.checkHealth().then(() => {
+                if (!this.closed) this._scheduleHealthCheck();
+            });
+        }, this.healthCheck.intervalMs);
+        // Like the idempotency sweeper, the probes never keep the process alive
+        if (this.healthCheckTimer && typeof this.healthCheckTimer.unref === 'function') {
+            this.healthCheckTimer.unref();
+        }
+    }
+
+    /**
+     * Runs one provider's health check and records the outcome in its circuit breaker,
+     * as if it were a send. The check gets `{ signal }`, which aborts when it times out.
+     * @param {Object} provider - The email provider.
+     * @returns {Promise<void>} Never rejects.
+     * @private
+     */
+    async _probeProvider(provider) {
+        const breaker = this.circuitBreakers.get(provider.name);
+        const permit = breaker.tryAcquire();
+        if (!permit) return;
+
+        const { timeoutMs } = this.healthCheck || { timeoutMs: 5 * 1000 };
+        const controller = new AbortController();
+        const startedAt = this.clock.now();
+        let timer = null;
+        let error = null;
+        try {
+            await new Promise((resolve, reject) => {
+                timer = this.clock.setTimeout(() => {
+                    const timeout = new Error(`Health check of provider ${provider.name} did not finish within ${timeoutMs}ms.`);
+                    timeout.code = ErrorCodes.TIMEOUT;
+                    controller.abort(timeout);
+                    reject(timeout);
+                }, timeoutMs);
+                Promise.resolve().then(() => provider.healthCheck({ signal: controller.signal })).then(resolve, reject);
+            });
+        } catch (checkError) {
+            error = {
+                code: checkError && checkError.code === ErrorCodes.TIMEOUT ? ErrorCodes.TIMEOUT : ErrorCodes.PROVIDER_ERROR,
+                message: checkError && checkError.message ? checkError.message : String(checkError)
+            };
+        } finally {
+            this.clock.clearTimeout(timer);
+        }
+
+        const now = this.clock.now();
+        const latencyMs = now - startedAt;
+        this.health.get(provider.name).record({ at: now, success: error === null, latencyMs, source: 'healthCheck', error });
+        if (error === null) {
+            breaker.recordSuccess(permit);
+        } else {
+            this.logger.error(`Health check of provider ${provider.name} failed: ${error.message}`);
+            breaker.recordFailure(permit);
+        }
+        this._emit('healthChecked', { provider: provider.name, healthy: error === null, latencyMs, error });
+    }
+
+    /**
+     * Observes a provider call in the attempt duration histogram once it settles. Calls
+     * abandoned because the send was aborted say nothing about the provider and are left out.
+     * @param {string} providerName - The provider's name.
+     * @param {Promise<*>} call - The call, as returned by _callProvider.
+     * @param {SendControl} control - The send's abort signal and deadline.
+     * @returns {Promise<*>} The call, unchanged.
+     * @private
+     */
+    _timeAttempt(providerName, call, control) {
+        const startedAt = this.clock.now();
+        const observe = outcome => {
+            this.attemptDuration.observe({ service: this.serviceName, provider: providerName, outcome }, (this.clock.now() - startedAt) / 1000);
+        };
+        return call.then(
+            response => {
+                observe('success');
+                return response;
+            },
+            error => {
+                if (!(control.signal && control.signal.aborted)) observe('failure');
+                throw error;
+            }
+        );
+    }
+
+    /**
+     * Makes one provider attempt. The provider gets `{ signal, attempt, deadline }` as its second
+     * argument; the signal aborts when the attempt times out or the whole send is aborted.
+     * Attempts to a batch-capable provider go through its BatchCollector.
+     * @param {Object} provider - The email provider.
+     * @param {Object} payload - The message to send.
+     * @param {number} attempt - Attempt number against this provider, from 1.
+     * @param {SendControl} control - The send's abort signal and deadline.
+     * @returns {Promise<*>} The provider response. Rejects with a TIMEOUT error after attemptTimeoutMs,
+     * or with the send's abort reason, without waiting for the provider to settle.
+     * @private
+     */
+    _callProvider(provider, payload, attempt, control) {
+        const timeoutMs = this._providerOption(provider, 'attemptTimeoutMs');
+        const controller = new AbortController();
+        return new Promise((resolve, reject) => {
+            let timer = null;
+            const finish = () => {
+                if (timer !== null) this.clock.clearTimeout(timer);
+                if (control.signal) control.signal.removeEventListener('abort', onAbort);
+            };
+            const fail = (error) => {
+                finish();
+                controller.abort(error);
                 reject(error);
+            };
+            const onAbort = () => fail(control.signal.reason);
+
+            if (control.signal) {
+                control.signal.addEventListener('abort', onAbort, { once: true });
             }
+            if (timeoutMs > 0) {
+                timer = this.clock.setTimeout(() => {
+                    const error = new Error(`Provider ${provider.name} did not respond within ${timeoutMs}ms.`);
+                    error.code = ErrorCodes.TIMEOUT;
+                    fail(error);
+                }, timeoutMs);
+            }
+            Promise.resolve()
+                .then(() => {
+                    const context = { signal: controller.signal, attempt, deadline: control.deadlineAt };
+                    const batcher = this.batchers.get(provider.name);
+                    return batcher ? batcher.add(payload, context) : provider.send(payload, context);
+                })
+                .then(
+                    response => {
+                        finish();
+                        resolve(response);
+                    },
+                    error => {
+                        finish();
+                        reject(error);
+                    }
+                );
+        });
+    }
+
+    /**
+     * Starts sending queued emails, up to `concurrency` at a time. Each finished send calls
+     * this again, so the queue keeps draining while there is room under the rate limits.
+     * @private
+     */
+    _processQueue() {
+        if (this.emailQueue.length === 0) {
+            return;
         }
-        this.isProcessingQueue = false;
-        // If there are still items in the queue and we stopped due to rate limiting,
-        // try to process again after a short delay (e.g., next rate limit window)
-        if (this.emailQueue.length > 0) {
-            this.logger.log('Queue still has items after rate limit hit. Retrying processing after delay...');
-            setTimeout(() => this._processQueue(), this.rateLimitWindowMs + 10); // +10ms to ensure window resets
+
+        this._expireQueuedEmails();
+        while (this.activeQueueSends < this.concurrency && this.emailQueue.length > 0) {
+            // Lanes whose next email is still limited (e.g. by its recipient domain), or whose emailId
+            // is still being sent, sit this turn out
+            let wait = Infinity;
+            const item = this.emailQueue.shift(queued => {
+                if (this.sending.has(queued.message.emailId)) return false; // Picked up again when that send finishes
+                const itemWait = this._rateLimitWait(queued.message);
+                wait = Math.min(wait, itemWait);
+                return itemWait === 0;
+            });
+            if (!item) {
+                this.logger.log('Rate limited: Stopping queue processing temporarily.');
+                this._scheduleQueueRetry(wait);
+                return;
+            }
+            this.rateLimiter.tryAcquire(this._sharedLimitRequests(item.message));
+            this._sendQueued(item);
+        }
+    }
+
+    /**
+     * Sends one email taken from the queue and settles the caller's promise.
+     * @param {Object} item - The queue item: message, control, resolve, reject and enqueuedAt.
+     * @private
+     */
+    _sendQueued(item) {
+        const { message, control, resolve, reject } = item;
+        this._journalQueued(message, 'processing');
+        this._setStatus(message.emailId, 'processing');
+        this.activeQueueSends++;
+        this._processSend(message, control)
+            .then(
+                result => {
+                    this._journalDone(message.emailId);
+                    resolve(result);
+                },
+                error => {
+                    this._journalDone(message.emailId);
+                    reject(error);
+                }
+            )
+            .finally(() => {
+                this.activeQueueSends--;
+                this._processQueue();
+            });
+    }
+
+    /**
+     * Re-checks the queue once the rate limit should have room again (e.g. the next window).
+     * @param {number} waitMs - Shortest wait reported by the limiters; Infinity if none applied.
+     * @private
+     */
+    _scheduleQueueRetry(waitMs) {
+        if (this.queueRetryTimer !== null) return;
+        this.logger.log('Queue still has items after rate limit hit. Retrying processing after delay...');
+        // +10ms to ensure the limit has reset; capped so a stuck limit is still re-checked
+        this.queueRetryTimer = this.clock.setTimeout(() => {
+            this.queueRetryTimer = null;
+            this._processQueue();
+        }, Math.min(waitMs, this.maxQueueWaitMs) + 10);
+    }
+
+    /**
+     * Fails queued emails that have waited longer than `maxQueueWaitMs`.
+     * @private
+     */
+    _expireQueuedEmails() {
+        const now = this.clock.now();
+        const expired = this.emailQueue.remove(item => now - item.enqueuedAt > this.maxQueueWaitMs);
+        for (const item of expired) {
+            const { emailId } = item.message;
+            const errorMessage = `Email ${emailId} waited more than ${this.maxQueueWaitMs}ms in the rate-limit queue.`;
+            this.logger.error(errorMessage);
+            this._setStatus(emailId, 'failed');
+            this._journalDone(emailId);
+            const error = new EmailSendError(errorMessage, { code: ErrorCodes.RATE_LIMITED_TIMEOUT, emailId });
+            this._deadLetter(item.message, error);
+            this._emit('failed', { emailId, code: error.code, error, latencyMs: now - item.enqueuedAt });
+            item.reject(error);
         }
     }
 
@@ -316,8 +2074,75 @@ class EmailService {
      * @returns {EmailStatus | undefined} The status of the email, or undefined if not tracked.
      */
     getEmailStatus(emailId) {
-        return this.emailStatuses.get(emailId);
+        return this.store.get(STATUS_NAMESPACE, emailId);
+    }
+
+    /**
+     * Records the status of an email in the store.
+     * @param {string} emailId - The unique ID of the email.
+     * @param {EmailStatus} status - The new status.
+     * @private
+     */
+    _setStatus(emailId, status) {
+        this.store.set(STATUS_NAMESPACE, emailId, status);
+    }
+}
+
+/**
+ * Works out when an email should be sent from its `sendAt` or `delayMs` field.
+ * @param {Object} timing - Email data (or reschedule options) with optional sendAt/delayMs and emailId.
+ * @param {number} now - Current time in milliseconds.
+ * @returns {number | null} The send time in milliseconds since the epoch, or null to send now.
+ * @throws {EmailSendError} With code VALIDATION if both are given or either is invalid.
+ */
+function resolveDueAt({ sendAt, delayMs, emailId }, now) {
+    if (sendAt === undefined && delayMs === undefined) return null;
+    const invalid = (message) => new EmailSendError(message, { code: ErrorCodes.VALIDATION, emailId });
+    if (sendAt !== undefined && delayMs !== undefined) {
+        throw invalid('Use either sendAt or delayMs, not both.');
+    }
+    if (delayMs !== undefined) {
+        if (typeof delayMs !== 'number' || !Number.isFinite(delayMs) || delayMs < 0) {
+            throw invalid(`delayMs must be a non-negative number of milliseconds, got ${delayMs}.`);
+        }
+        return now + delayMs;
+    }
+    const time = sendAt instanceof Date ? sendAt.getTime() : typeof sendAt === 'string' ? Date.parse(sendAt) : sendAt;
+    if (typeof time !== 'number' || !Number.isFinite(time)) {
+        throw invalid(`sendAt must be a Date, epoch milliseconds or an ISO date string, got ${sendAt}.`);
+    }
+    return time;
+}
+
+/**
+ * Converts a sendEmail `deadline` option to a timestamp.
+ * @param {Date | number | string | undefined} deadline - A Date, epoch milliseconds or ISO string.
+ * @param {string} emailId - Used in the error.
+ * @returns {number | null} The deadline in milliseconds since the epoch, or null if there is none.
+ * @throws {EmailSendError} With code VALIDATION if the deadline is invalid.
+ */
+function resolveDeadline(deadline, emailId) {
+    if (deadline === undefined || deadline === null) return null;
+    const time = deadline instanceof Date ? deadline.getTime() : typeof deadline === 'string' ? Date.parse(deadline) : deadline;
+    if (typeof time !== 'number' || !Number.isFinite(time)) {
+        throw new EmailSendError(`deadline must be a Date, epoch milliseconds or an ISO date string, got ${deadline}.`, {
+            code: ErrorCodes.VALIDATION,
+            emailId
+        });
+    }
+    return time;
+}
+
+/**
+ * Pulls a provider message ID out of a provider response, if it has one.
+ * @param {*} response - The value the provider resolved with.
+ * @returns {string | null} The message ID, or null for providers that only return a string.
+ */
+function extractMessageId(response) {
+    if (response && typeof response === 'object') {
+        return response.messageId || response.id || null;
     }
+    return null;
 }
 
 module.exports = EmailService;
\ No newline at end of file
@@ -0,0 +1,191 @@
+//attachments.js
+
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Attachment as accepted by sendEmail. Exactly one of content, stream or path must be set.
+ * @typedef {Object} AttachmentInput
+ * @property {string} [filename] - Name shown to the recipient. Defaults to the basename of `path`.
+ * @property {string} [contentType] - MIME type. Guessed from the filename when omitted.
+ * @property {Buffer | string} [content] - The data. Strings are decoded with `encoding`.
+ * @property {'utf8' | 'base64'} [encoding='utf8'] - Encoding of a string `content`.
+ * @property {Object} [stream] - A readable stream with the data.
+ * @property {string} [path] - Path of a file with the data.
+ * @property {string} [cid] - Content-ID for inline use, referenced from HTML as `cid:<value>`.
+ */
+
+/**
+ * Attachment as passed to providers, with its data loaded.
+ * @typedef {Object} Attachment
+ * @property {string} filename
+ * @property {string} contentType
+ * @property {Buffer} content
+ * @property {number} size - Size of the content in bytes.
+ * @property {string | null} cid - Content-ID for inline attachments, null otherwise.
+ */
+
+const CONTENT_TYPES = {
+    '.pdf': 'application/pdf',
+    '.csv': 'text/csv',
+    '.txt': 'text/plain',
+    '.html': 'text/html',
+    '.json': 'application/json',
+    '.xml': 'application/xml',
+    '.zip': 'application/zip',
+    '.png': 'image/png',
+    '.jpg': 'image/jpeg',
+    '.jpeg': 'image/jpeg',
+    '.gif': 'image/gif',
+    '.svg': 'image/svg+xml',
+    '.ics': 'text/calendar',
+    '.xlsx': 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+    '.docx': 'application/vnd.openxmlformats-officedocument.wordprocessingml.document'
+};
+
+/**
+ * @param {string} filename
+ * @returns {string} The MIME type for the file extension, or application/octet-stream.
+ */
+function guessContentType(filename) {
+    return CONTENT_TYPES[path.extname(filename).toLowerCase()] || 'application/octet-stream';
+}
+
+/**
+ * Validates attachment descriptors without loading any data.
+ * @param {*} attachments - The `attachments` field of the email data.
+ * @returns {{ attachments: Array<AttachmentInput>, problems: Array<string> }} Checked descriptors and any problems found.
+ */
+function validateAttachments(attachments) {
+    const problems = [];
+    if (attachments === undefined) return { attachments: [], problems };
+    if (!Array.isArray(attachments)) {
+        return { attachments: [], problems: ['attachments must be an array.'] };
+    }
+
+    const checked = attachments.map((attachment, index) => {
+        const label = `attachments[${index}]`;
+        if (!attachment || typeof attachment !== 'object') {
+            problems.push(`${label} must be an object.`);
+            return null;
+        }
+        const sources = ['content', 'stream', 'path'].filter(key => attachment[key] !== undefined);
+        if (sources.length !== 1) {
+            problems.push(`${label} needs exactly one of content, stream or path.`);
+        }
+        if (attachment.content !== undefined && !Buffer.isBuffer(attachment.content) && typeof attachment.content !== 'string') {
+            problems.push(`${label}.content must be a Buffer or a string.`);
+        }
+        if (attachment.stream !== undefined && (!attachment.stream || typeof attachment.stream.on !== 'function')) {
+            problems.push(`${label}.stream must be a readable stream.`);
+        }
+        if (attachment.path !== undefined && typeof attachment.path !== 'string') {
+            problems.push(`${label}.path must be a string.`);
+        }
+        const filename = attachment.filename || (typeof attachment.path === 'string' ? path.basename(attachment.path) : '');
+        if (!filename || /[\r\n"]/.test(filename)) {
+            problems.push(`${label} needs a filename without quotes or line breaks.`);
+        }
+        if (attachment.contentType !== undefined && !/^[\w.+-]+\/[\w.+-]+$/.test(attachment.contentType)) {
+            problems.push(`${label}.contentType "${attachment.contentType}" is invalid.`);
+        }
+        if (attachment.cid !== undefined && !/^[^\s<>@]+(@[^\s<>@]+)?$/.test(attachment.cid)) {
+            problems.push(`${label}.cid "${attachment.cid}" is invalid.`);
+        }
+        if (attachment.encoding !== undefined && attachment.encoding !== 'utf8' && attachment.encoding !== 'base64') {
+            problems.push(`${label}.encoding must be 'utf8' or 'base64'.`);
+        }
+        return { ...attachment, filename };
+    });
+
+    return { attachments: checked, problems };
+}
+
+/**
+ * Reads a stream into a Buffer, giving up as soon as it grows past `maxBytes`.
+ * @param {Object} stream - A readable stream.
+ * @param {number} maxBytes
+ * @returns {Promise<Buffer | null>} The data, or null if it was too large.
+ */
+function readStream(stream, maxBytes) {
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+        let size = 0;
+        const onData = (chunk) => {
+            const buffer = Buffer.isBuffer(chunk) ? chunk : Buffer.from(chunk);
+            size += buffer.length;
+            if (size > maxBytes) {
+                cleanup();
+                stream.destroy();
+                resolve(null);
+                return;
+            }
+            chunks.push(buffer);
+        };
+        const onEnd = () => {
+            cleanup();
+            resolve(Buffer.concat(chunks));
+        };
+        const onError = (error) => {
+            cleanup();
+            reject(error);
+        };
+        const cleanup = () => {
+            stream.removeListener('data', onData);
+            stream.removeListener('end', onEnd);
+            stream.removeListener('error', onError);
+        };
+        stream.on('data', onData);
+        stream.on('end', onEnd);
+        stream.on('error', onError);
+    });
+}
+
+/**
+ * Loads the data of every attachment, enforcing a total size limit.
+ * Files are checked with stat before they are read and streams stop being read
+ * once the limit is passed, so an oversized attachment is never fully buffered.
+ * @param {Array<AttachmentInput>} attachments - Descriptors checked by validateAttachments.
+ * @param {number} maxBytes - Maximum total size of all attachments.
+ * @returns {Promise<Array<Attachment>>} The loaded attachments.
+ * @throws {Error} If an attachment cannot be read or the total exceeds `maxBytes`.
+ */
+async function loadAttachments(attachments, maxBytes) {
+    const loaded = [];
+    let total = 0;
+    const tooLarge = (filename) => new Error(`Attachment ${filename} takes the message over the ${maxBytes} byte limit.`);
+
+    for (const attachment of attachments) {
+        const remaining = maxBytes - total;
+        let content;
+        if (attachment.content !== undefined) {
+            content = Buffer.isBuffer(attachment.content)
+                ? attachment.content
+                : Buffer.from(attachment.content, attachment.encoding || 'utf8');
+        } else if (attachment.path !== undefined) {
+            const stats = await fs.promises.stat(attachment.path);
+            if (stats.size > remaining) throw tooLarge(attachment.filename);
+            content = await fs.promises.readFile(attachment.path);
+        } else {
+            content = await readStream(attachment.stream, remaining);
+            if (content === null) throw tooLarge(attachment.filename);
+        }
+
+        if (content.length > remaining) throw tooLarge(attachment.filename);
+        total += content.length;
+        loaded.push({
+            filename: attachment.filename,
+            contentType: attachment.contentType || guessContentType(attachment.filename),
+            content,
+            size: content.length,
+            cid: attachment.cid || null
+        });
+    }
+    return loaded;
+}
+
+module.exports = {
+    guessContentType,
+    validateAttachments,
+    loadAttachments
+};
@@ -0,0 +1,98 @@
+//batcher.js
+
+/**
+ * Collects the sends made to one provider during the same turn of the event loop and
+ * delivers them with a single `sendBatch` call. A lone send still goes through `send`.
+ *
+ * `sendBatch(messages, { signal })` must resolve with one entry per message, in order:
+ * an Error for a message that failed, anything else as that message's response.
+ * If it rejects, every message in the batch fails with that error. The signal aborts
+ * once every message in the batch has been given up on (timed out or aborted).
+ */
+class BatchCollector {
+    /**
+     * @param {Object} options
+     * @param {string} options.name - Provider name, used in errors.
+     * @param {number} options.maxSize - Most messages per batch; a full batch is sent at once.
+     * @param {function(Object, Object): Promise<*>} options.send - Sends one message.
+     * @param {function(Array<Object>, Object): Promise<Array<*>>} options.sendBatch - Sends several messages.
+     */
+    constructor({ name, maxSize, send, sendBatch }) {
+        this.name = name;
+        this.maxSize = maxSize;
+        this.send = send;
+        this.sendBatch = sendBatch;
+        /** @type {Array<{message: Object, context: Object, resolve: Function, reject: Function}>} */
+        this.pending = [];
+        this.flushHandle = null;
+    }
+
+    /**
+     * Adds a message to the next batch.
+     * @param {Object} message - The message to send.
+     * @param {Object} context - Its send context (`{ signal, attempt, deadline }`).
+     * @returns {Promise<*>} Settles with this message's outcome.
+     */
+    add(message, context) {
+        return new Promise((resolve, reject) => {
+            this.pending.push({ message, context, resolve, reject });
+            if (this.pending.length >= this.maxSize) {
+                this.flush();
+            } else if (this.flushHandle === null) {
+                this.flushHandle = setImmediate(() => this.flush());
+            }
+        });
+    }
+
+    /**
+     * Sends everything collected so far.
+     */
+    flush() {
+        if (this.flushHandle !== null) {
+            clearImmediate(this.flushHandle);
+            this.flushHandle = null;
+        }
+        const entries = this.pending.splice(0, this.pending.length);
+        if (entries.length === 0) return;
+        if (entries.length === 1) {
+            const [{ message, context, resolve, reject }] = entries;
+            Promise.resolve().then(() => this.send(message, context)).then(resolve, reject);
+            return;
+        }
+
+        const controller = new AbortController();
+        let abandoned = 0;
+        const onAbandon = (signal) => {
+            abandoned++;
+            if (abandoned === entries.length) controller.abort(signal.reason);
+        };
+        for (const { context } of entries) {
+            const { signal } = context;
+            if (!signal) continue;
+            if (signal.aborted) onAbandon(signal);
+            else signal.addEventListener('abort', () => onAbandon(signal), { once: true });
+        }
+
+        Promise.resolve()
+            .then(() => this.sendBatch(entries.map(entry => entry.message), { signal: controller.signal }))
+            .then(
+                results => {
+                    if (!Array.isArray(results) || results.length !== entries.length) {
+                        const count = Array.isArray(results) ? results.length : 'no';
+                        const error = new Error(`Provider ${this.name} returned ${count} results for a batch of ${entries.length} messages.`);
+                        entries.forEach(entry => entry.reject(error));
+                        return;
+                    }
+                    entries.forEach((entry, index) => {
+                        if (results[index] instanceof Error) entry.reject(results[index]);
+                        else entry.resolve(results[index]);
+                    });
+                },
+                error => entries.forEach(entry => entry.reject(error))
+            );
+    }
+}
+
+module.exports = {
+    BatchCollector
+};
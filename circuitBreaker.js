@@ -0,0 +1,207 @@
+//circuitBreaker.js
+
+const { EventEmitter } = require('events');
+const { systemClock } = require('C:\\resilient-email-service\\clock');
+
+/**
+ * Circuit breaker states.
+ * @readonly
+ * @enum {string}
+ */
+const CircuitStates = Object.freeze({
+    CLOSED: 'CLOSED', // Requests flow normally
+    OPEN: 'OPEN', // Requests are blocked until the reset timeout passes
+    HALF_OPEN: 'HALF_OPEN' // A limited number of probe requests decide whether to close or reopen
+});
+
+/**
+ * Payload of the state events.
+ * @typedef {Object} CircuitEvent
+ * @property {string} name - Name of the breaker (the provider name).
+ * @property {CircuitStates} state - The new state.
+ * @property {CircuitStates} previousState - The state before the change.
+ * @property {string} reason - Why the state changed.
+ */
+
+/**
+ * Returned by tryAcquire and handed back with the request's outcome. Outcomes of requests
+ * acquired before the last state change are ignored, so a slow request from the CLOSED
+ * state cannot close or reopen a half-open circuit as if it were a probe.
+ * @typedef {Object} CircuitPermit
+ * @property {number} generation - The breaker's generation when the request was admitted.
+ * @property {boolean} probe - True if the request holds a half-open probe slot.
+ */
+
+/**
+ * Circuit breaker for one provider.
+ *
+ * CLOSED -> OPEN when `failureThreshold` consecutive failures happen, or when the failure
+ * rate over the last `rollingWindowMs` reaches `failureRateThreshold` (checked once there
+ * are at least `minimumRequests` outcomes in the window).
+ * OPEN -> HALF_OPEN once `resetTimeoutMs` has passed, on the next acquire.
+ * HALF_OPEN admits at most `halfOpenMaxProbes` requests at a time. A successful probe
+ * closes the circuit; a failed probe opens it again.
+ *
+ * Emits `circuitOpened`, `circuitHalfOpen` and `circuitClosed` with a CircuitEvent.
+ */
+class CircuitBreaker extends EventEmitter {
+    /**
+     * @param {string} name - Name used in events, normally the provider name.
+     * @param {Object} [options]
+     * @param {number} [options.failureThreshold=3] - Consecutive failures that open the circuit.
+     * @param {number} [options.resetTimeoutMs=5000] - How long the circuit stays open before probing.
+     * @param {number} [options.halfOpenMaxProbes=1] - Requests admitted at a time while half-open.
+     * @param {number | null} [options.failureRateThreshold=null] - Failure ratio (0-1] that opens the circuit. Disabled when null.
+     * @param {number} [options.rollingWindowMs=60000] - Window for the failure rate.
+     * @param {number} [options.minimumRequests=10] - Outcomes needed in the window before the failure rate counts.
+     * @param {Object} [options.clock=systemClock] - Clock (see clock.js).
+     */
+    constructor(name, options = {}) {
+        super();
+        this.name = name;
+        this.failureThreshold = options.failureThreshold || 3;
+        this.resetTimeoutMs = options.resetTimeoutMs || 5000;
+        this.halfOpenMaxProbes = options.halfOpenMaxProbes || 1;
+        this.failureRateThreshold = options.failureRateThreshold || null;
+        this.rollingWindowMs = options.rollingWindowMs || 60 * 1000;
+        this.minimumRequests = options.minimumRequests || 10;
+        this.clock = options.clock || systemClock;
+
+        this.state = CircuitStates.CLOSED;
+        this.failureCount = 0; // Consecutive failures
+        this.lastFailureTime = 0;
+        this.openedAt = 0;
+        this.halfOpenAttempts = 0; // Probes currently in flight
+        this.generation = 0; // Bumped on every state change
+        /** @type {Array<{time: number, failed: boolean}>} */
+        this.outcomes = []; // Rolling window, only kept when a failure rate is configured
+    }
+
+    /**
+     * @returns {boolean} True while the circuit is open (not while it is half-open).
+     */
+    get isOpen() {
+        return this.state === CircuitStates.OPEN;
+    }
+
+    /**
+     * Asks to send a request. In HALF_OPEN this reserves one of the probe slots, so every
+     * successful acquire must be followed by recordSuccess, recordFailure or release with the permit.
+     * @returns {CircuitPermit | null} A permit if the request may go ahead, otherwise null.
+     */
+    tryAcquire() {
+        if (this.state === CircuitStates.OPEN) {
+            if (this.clock.now() - this.openedAt < this.resetTimeoutMs) return null;
+            this._transition(CircuitStates.HALF_OPEN, `reset timeout of ${this.resetTimeoutMs}ms passed`);
+        }
+        const probe = this.state === CircuitStates.HALF_OPEN;
+        if (probe) {
+            if (this.halfOpenAttempts >= this.halfOpenMaxProbes) return null;
+            this.halfOpenAttempts++;
+        }
+        return { generation: this.generation, probe };
+    }
+
+    /**
+     * Gives back an acquired slot without an outcome, e.g. when the request was never sent.
+     * @param {CircuitPermit} [permit] - From tryAcquire.
+     */
+    release(permit) {
+        if (this.state === CircuitStates.HALF_OPEN && this._isCurrent(permit) && this.halfOpenAttempts > 0) {
+            this.halfOpenAttempts--;
+        }
+    }
+
+    /**
+     * Records a successful request.
+     * @param {CircuitPermit} [permit] - From tryAcquire. Without one the outcome counts for the current state.
+     */
+    recordSuccess(permit) {
+        if (!this._isCurrent(permit)) return;
+        this._recordOutcome(false);
+        this.failureCount = 0;
+        if (this.state === CircuitStates.HALF_OPEN) {
+            this._transition(CircuitStates.CLOSED, 'probe succeeded');
+        }
+    }
+
+    /**
+     * Records a failed request.
+     * @param {CircuitPermit} [permit] - From tryAcquire. Without one the outcome counts for the current state.
+     */
+    recordFailure(permit) {
+        if (!this._isCurrent(permit)) return;
+        this._recordOutcome(true);
+        this.failureCount++;
+        this.lastFailureTime = this.clock.now();
+
+        if (this.state === CircuitStates.HALF_OPEN) {
+            this._transition(CircuitStates.OPEN, 'probe failed');
+        } else if (this.state === CircuitStates.CLOSED) {
+            if (this.failureCount >= this.failureThreshold) {
+                this._transition(CircuitStates.OPEN, `${this.failureCount} consecutive failures`);
+            } else if (this._failureRateExceeded()) {
+                this._transition(CircuitStates.OPEN, `failure rate reached ${Math.round(this.failureRateThreshold * 100)}%`);
+            }
+        }
+    }
+
+    /**
+     * @param {CircuitPermit} [permit]
+     * @returns {boolean} True if the permit was issued in the current state.
+     * @private
+     */
+    _isCurrent(permit) {
+        return !permit || permit.generation === this.generation;
+    }
+
+    /**
+     * Adds an outcome to the rolling window.
+     * @param {boolean} failed
+     * @private
+     */
+    _recordOutcome(failed) {
+        if (this.failureRateThreshold === null) return;
+        const now = this.clock.now();
+        this.outcomes.push({ time: now, failed });
+        while (this.outcomes.length > 0 && now - this.outcomes[0].time >= this.rollingWindowMs) {
+            this.outcomes.shift();
+        }
+    }
+
+    /**
+     * @returns {boolean} True if the failure rate over the rolling window is at or above the threshold.
+     * @private
+     */
+    _failureRateExceeded() {
+        if (this.failureRateThreshold === null || this.outcomes.length < this.minimumRequests) return false;
+        const failures = this.outcomes.filter(outcome => outcome.failed).length;
+        return failures / this.outcomes.length >= this.failureRateThreshold;
+    }
+
+    /**
+     * Moves to a new state and emits the matching event.
+     * @param {CircuitStates} state
+     * @param {string} reason
+     * @private
+     */
+    _transition(state, reason) {
+        const previousState = this.state;
+        this.state = state;
+        this.generation++;
+        this.halfOpenAttempts = 0; // Probes of the previous generation no longer hold a slot
+        if (state === CircuitStates.OPEN) {
+            this.openedAt = this.clock.now();
+        } else if (state === CircuitStates.CLOSED) {
+            this.failureCount = 0;
+            this.outcomes = []; // Start the failure rate afresh after recovering
+        }
+        const event = { CLOSED: 'circuitClosed', OPEN: 'circuitOpened', HALF_OPEN: 'circuitHalfOpen' }[state];
+        this.emit(event, { name: this.name, state, previousState, reason });
+    }
+}
+
+module.exports = {
+    CircuitStates,
+    CircuitBreaker
+};
@@ -0,0 +1,78 @@
+//clock.js
+
+/**
+ * Time source used by the service for timestamps and timers.
+ * @typedef {Object} Clock
+ * @property {function(): number} now - Current time in milliseconds since the epoch.
+ * @property {function(Function, number): *} setTimeout - Schedules a callback; returns a handle.
+ * @property {function(*): void} clearTimeout - Cancels a handle returned by setTimeout.
+ */
+
+/**
+ * The real clock.
+ * @type {Clock}
+ */
+const systemClock = {
+    now: () => Date.now(),
+    setTimeout: (fn, ms) => setTimeout(fn, ms),
+    clearTimeout: (handle) => clearTimeout(handle)
+};
+
+/**
+ * A clock that only moves when told to, so tests can fast-forward through
+ * delays without waiting for them.
+ */
+class ManualClock {
+    /**
+     * @param {number} [start=0] - Initial time in milliseconds.
+     */
+    constructor(start = 0) {
+        this.time = start;
+        this.nextId = 1;
+        /** @type {Map<number, {at: number, fn: Function}>} */
+        this.timers = new Map();
+    }
+
+    now() {
+        return this.time;
+    }
+
+    setTimeout(fn, ms) {
+        const id = this.nextId++;
+        this.timers.set(id, { at: this.time + Math.max(0, ms), fn });
+        return id;
+    }
+
+    clearTimeout(id) {
+        this.timers.delete(id);
+    }
+
+    /**
+     * Moves time forward, running every timer that falls due on the way in time order
+     * (including timers those callbacks schedule).
+     * @param {number} ms - How far to move.
+     */
+    advance(ms) {
+        const target = this.time + ms;
+        for (;;) {
+            let nextId = null;
+            let next = null;
+            for (const [id, timer] of this.timers) {
+                if (timer.at <= target && (!next || timer.at < next.at)) {
+                    nextId = id;
+                    next = timer;
+                }
+            }
+            if (!next) break;
+            this.timers.delete(nextId);
+            this.time = Math.max(this.time, next.at);
+            next.fn();
+        }
+        this.time = target;
+    }
+}
+
+module.exports = {
+    systemClock,
+    ManualClock
+};
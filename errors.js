@@ -0,0 +1,80 @@
+//errors.js
+
+/**
+ * Error codes carried by EmailSendError (and by per-provider error details).
+ * @readonly
+ * @enum {string}
+ */
+const ErrorCodes = Object.freeze({
+    VALIDATION: 'VALIDATION', // The email data was rejected before any provider was called
+    ALL_PROVIDERS_FAILED: 'ALL_PROVIDERS_FAILED', // Every available provider was tried and failed
+    RATE_LIMITED_TIMEOUT: 'RATE_LIMITED_TIMEOUT', // The email waited in the rate-limit queue for too long
+    QUEUE_FULL: 'QUEUE_FULL', // The email had to be queued but its priority lane was full
+    CIRCUIT_OPEN: 'CIRCUIT_OPEN', // No provider was tried because every circuit was open
+    RATE_LIMITED: 'RATE_LIMITED', // No provider was tried because the available ones were at their rate limits (also a per-provider detail)
+    DUPLICATE: 'DUPLICATE', // Same emailId was already processed and did not produce a result
+    PROVIDER_ERROR: 'PROVIDER_ERROR', // Per-provider detail: the provider failed after its retries
+    TIMEOUT: 'TIMEOUT', // Per-provider detail: an attempt did not settle within attemptTimeoutMs
+    DEADLINE_EXCEEDED: 'DEADLINE_EXCEEDED', // The send's deadline passed before the email was sent
+    ABORTED: 'ABORTED', // The caller's AbortSignal aborted the send
+    PERMANENT_FAILURE: 'PERMANENT_FAILURE', // A provider rejected the email with a permanent error, so it was not retried or sent elsewhere (also a per-provider detail)
+    UNSUPPORTED: 'UNSUPPORTED', // No provider was tried because none the email is routed to supports it (also a per-provider detail)
+    CANCELLED: 'CANCELLED', // A queued or scheduled email was cancelled before it was sent
+    SHUTDOWN: 'SHUTDOWN', // The service was closed while the email was scheduled; the durable queue journal still holds it
+    INTERNAL: 'INTERNAL' // Unexpected error inside the service itself
+});
+
+/**
+ * Failure details for a single provider.
+ * @typedef {Object} ProviderErrorDetail
+ * @property {string} provider - Provider name.
+ * @property {number} providerIndex - Index of the provider in the service's provider list.
+ * @property {string} code - One of ErrorCodes.
+ * @property {string} message - Error message from the provider (or why it was skipped).
+ * @property {number} attempts - Attempts made against this provider.
+ */
+
+/**
+ * Error thrown (or rejected with) by EmailService when an email cannot be sent.
+ * Callers should branch on `code` rather than parsing `message`.
+ */
+class EmailSendError extends Error {
+    /**
+     * @param {string} message - Human readable description.
+     * @param {Object} details
+     * @param {string} details.code - One of ErrorCodes.
+     * @param {string} [details.emailId] - The email the error relates to.
+     * @param {Array<ProviderErrorDetail>} [details.providerErrors=[]] - Per-provider failure details.
+     * @param {Error} [details.cause] - Underlying error, if any.
+     */
+    constructor(message, { code, emailId, providerErrors = [], cause } = {}) {
+        super(message);
+        this.name = 'EmailSendError';
+        this.code = code;
+        this.emailId = emailId;
+        this.providerErrors = providerErrors;
+        if (cause) {
+            this.cause = cause;
+        }
+    }
+}
+
+/**
+ * Rejection for an email that was cancelled while queued or scheduled.
+ * Always has code CANCELLED, so code checks and `instanceof EmailSendError` keep working.
+ */
+class EmailCancelledError extends EmailSendError {
+    /**
+     * @param {string} emailId - The cancelled email.
+     */
+    constructor(emailId) {
+        super(`Email ${emailId} was cancelled before it was sent.`, { code: ErrorCodes.CANCELLED, emailId });
+        this.name = 'EmailCancelledError';
+    }
+}
+
+module.exports = {
+    ErrorCodes,
+    EmailSendError,
+    EmailCancelledError
+};
@@ -0,0 +1,78 @@
+//health.js
+
+/**
+ * One outcome of a provider, from a real send or a health check.
+ * @typedef {Object} HealthSample
+ * @property {number} at - When it finished, in milliseconds since the epoch.
+ * @property {boolean} success - Whether the provider worked.
+ * @property {number} latencyMs - How long the call took.
+ * @property {'send' | 'healthCheck'} source - What produced it.
+ * @property {{code: string, message: string} | null} error - For failures.
+ */
+
+/**
+ * Health of one provider, as reported by getHealth.
+ * @typedef {Object} ProviderHealthReport
+ * @property {number} samples - Outcomes the figures below are based on.
+ * @property {number | null} successRate - Share of successful outcomes (0-1), null without samples.
+ * @property {number | null} averageLatencyMs - Average latency of the successful outcomes.
+ * @property {number | null} p95LatencyMs - 95th percentile latency of the successful outcomes.
+ * @property {number | null} lastSuccessAt - When the provider last worked.
+ * @property {{code: string, message: string, source: string, at: number} | null} lastError - The most recent failure.
+ * @property {{at: number, healthy: boolean, latencyMs: number} | null} lastCheck - The most recent health check.
+ */
+
+/**
+ * Keeps the most recent outcomes of one provider and summarizes them.
+ */
+class ProviderHealth {
+    /**
+     * @param {Object} [options]
+     * @param {number} [options.sampleSize=50] - How many recent outcomes are kept.
+     */
+    constructor({ sampleSize = 50 } = {}) {
+        this.sampleSize = sampleSize;
+        /** @type {Array<HealthSample>} */
+        this.samples = [];
+        this.lastSuccessAt = null;
+        this.lastError = null;
+        this.lastCheck = null;
+    }
+
+    /**
+     * Adds an outcome, dropping the oldest one once sampleSize is reached.
+     * @param {HealthSample} sample
+     */
+    record(sample) {
+        this.samples.push(sample);
+        if (this.samples.length > this.sampleSize) this.samples.shift();
+        if (sample.success) {
+            this.lastSuccessAt = sample.at;
+        } else {
+            this.lastError = { ...sample.error, source: sample.source, at: sample.at };
+        }
+        if (sample.source === 'healthCheck') {
+            this.lastCheck = { at: sample.at, healthy: sample.success, latencyMs: sample.latencyMs };
+        }
+    }
+
+    /**
+     * @returns {ProviderHealthReport}
+     */
+    report() {
+        const latencies = this.samples.filter(sample => sample.success).map(sample => sample.latencyMs).sort((a, b) => a - b);
+        return {
+            samples: this.samples.length,
+            successRate: this.samples.length > 0 ? latencies.length / this.samples.length : null,
+            averageLatencyMs: latencies.length > 0 ? latencies.reduce((sum, ms) => sum + ms, 0) / latencies.length : null,
+            p95LatencyMs: latencies.length > 0 ? latencies[Math.ceil(latencies.length * 0.95) - 1] : null,
+            lastSuccessAt: this.lastSuccessAt,
+            lastError: this.lastError,
+            lastCheck: this.lastCheck
+        };
+    }
+}
+
+module.exports = {
+    ProviderHealth
+};
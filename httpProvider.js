@@ -0,0 +1,244 @@
+//httpProvider.js
+
+const http = require('http');
+const https = require('https');
+
+/**
+ * A vendor API call that did not succeed, or whose request could not be mapped.
+ * 408, 429 and 5xx are retryable; other statuses are permanent. A failed mapRequest sets
+ * `tryNextProvider`: retrying cannot help, but another provider may still send the email.
+ */
+class HttpProviderError extends Error {
+    /**
+     * @param {string} message - Human readable description.
+     * @param {Object} details
+     * @param {number | null} details.status - HTTP status code, null if no request was made.
+     * @param {*} [details.body] - Parsed response body.
+     * @param {boolean} details.retryable - Whether retrying may succeed.
+     * @param {number} [details.retryAfterMs] - How long the vendor asked to wait.
+     * @param {Error} [details.cause] - The error thrown by mapRequest.
+     * @param {boolean} [details.tryNextProvider=false] - Give up on this provider without failing the email.
+     */
+    constructor(message, { status, body = null, retryable, retryAfterMs, cause, tryNextProvider = false }) {
+        super(message, cause ? { cause } : undefined);
+        this.name = 'HttpProviderError';
+        this.status = status;
+        this.body = body;
+        this.retryable = retryable;
+        this.throttled = status === 429;
+        this.tryNextProvider = tryNextProvider;
+        if (retryAfterMs !== undefined) {
+            this.retryAfterMs = retryAfterMs;
+        }
+    }
+}
+
+/**
+ * Parses a Retry-After header: delay in seconds, or an HTTP date.
+ * @param {string | undefined} value - The header value.
+ * @param {number} now - Current time in milliseconds since the epoch.
+ * @returns {number | undefined} Delay in milliseconds, or undefined if the header is missing or invalid.
+ */
+function parseRetryAfter(value, now = Date.now()) {
+    if (value === undefined || value === '') return undefined;
+    if (/^\d+$/.test(value.trim())) return Number(value.trim()) * 1000;
+    const date = Date.parse(value);
+    return Number.isNaN(date) ? undefined : Math.max(0, date - now);
+}
+
+/**
+ * Default request mapping: the message as generic JSON.
+ * @param {Object} message - The validated EmailMessage.
+ * @returns {Object}
+ */
+function defaultMapRequest(message) {
+    const addresses = list => list.map(recipient => recipient.address);
+    return {
+        from: message.from ? message.from.address : undefined,
+        to: addresses(message.to),
+        cc: addresses(message.cc),
+        bcc: addresses(message.bcc),
+        replyTo: addresses(message.replyTo),
+        subject: message.subject,
+        text: message.text || undefined,
+        html: message.html || undefined,
+        headers: message.headers,
+        tags: message.tags
+    };
+}
+
+/**
+ * Default response mapping: finds the vendor message ID in the common places.
+ * @param {*} body - Parsed response body.
+ * @param {{status: number, headers: Object}} response
+ * @returns {{messageId: string | null, status: number, body: *}}
+ */
+function defaultMapResponse(body, { status, headers }) {
+    const fromBody = body && typeof body === 'object' ? body.messageId || body.message_id || body.MessageID || body.id : undefined;
+    return { messageId: fromBody || headers['x-message-id'] || null, status, body };
+}
+
+/**
+ * Email provider for JSON-over-HTTP vendor APIs, adapted to a vendor by its mapping functions.
+ */
+class HttpProvider {
+    /**
+     * @param {Object} config
+     * @param {string} [config.name='http'] - Provider name.
+     * @param {string} config.url - Endpoint that sends one email.
+     * @param {string} [config.method='POST']
+     * @param {{header: string, value: (string | function(): (string | Promise<string>))}} [config.auth] - Auth header;
+     * `header` defaults to Authorization. `value` may be a function, e.g. to refresh a token.
+     * @param {Object<string, string>} [config.headers] - Extra request headers.
+     * @param {function(Object): *} [config.mapRequest] - Builds the request body from the EmailMessage. Objects are sent as JSON,
+     * strings and Buffers as they are.
+     * @param {function(*, Object): *} [config.mapResponse] - Turns the parsed body and `{ status, headers }` of a successful
+     * response into what `send` resolves with. Its `messageId` becomes the SendResult's messageId. If it throws, the
+     * error is logged and `send` resolves with a null messageId, since the vendor has accepted the email.
+     * @param {Object} [config.agent] - http.Agent to use. A keep-alive agent by default.
+     * @param {Object} [config.capabilities] - Overrides of the declared capabilities.
+     * @param {Object} [config.options] - Per-provider overrides of the service options (see providers.js).
+     * @param {Object} [config.logger=console] - Logger with an error method, for mapResponse failures.
+     */
+    constructor(config = {}) {
+        if (!config.url) {
+            throw new Error('HttpProvider needs a url.');
+        }
+        this.name = config.name || 'http';
+        this.url = new URL(config.url);
+        this.method = config.method || 'POST';
+        this.auth = config.auth ? { header: 'Authorization', ...config.auth } : null;
+        this.headers = config.headers || {};
+        this.mapRequest = config.mapRequest || defaultMapRequest;
+        this.mapResponse = config.mapResponse || defaultMapResponse;
+        const transport = this.url.protocol === 'https:' ? https : http;
+        this.transport = transport;
+        this.agent = config.agent || new transport.Agent({ keepAlive: true });
+        this.capabilities = { html: true, ...config.capabilities };
+        this.options = config.options || {};
+        this.logger = config.logger || console;
+    }
+
+    /**
+     * Sends an EmailMessage (see message.js).
+     * @param {Object} message - The validated EmailMessage.
+     * @param {Object} [context] - `{ signal }` from the service; aborting it cancels the request.
+     * @returns {Promise<*>} What mapResponse returns.
+     * @throws {HttpProviderError} For a non-2xx response or a failed mapRequest.
+     */
+    async send(message, { signal } = {}) {
+        const mapped = await this._mapRequest(message);
+        const isRaw = typeof mapped === 'string' || Buffer.isBuffer(mapped);
+        const payload = isRaw ? mapped : JSON.stringify(mapped);
+        const headers = {
+            Accept: 'application/json',
+            ...(isRaw ? {} : { 'Content-Type': 'application/json' }),
+            ...this.headers,
+            'Content-Length': Buffer.byteLength(payload)
+        };
+        if (this.auth) {
+            headers[this.auth.header] = typeof this.auth.value === 'function' ? await this.auth.value() : this.auth.value;
+        }
+
+        const response = await this._request(payload, headers, signal);
+        if (response.status >= 200 && response.status < 300) {
+            // The vendor has accepted the email, so failing now would get it sent twice
+            try {
+                return await this.mapResponse(response.body, response);
+            } catch (error) {
+                this.logger.error(`mapResponse of provider ${this.name} failed for email ${message.emailId}: ${error.message}`);
+                return { messageId: null, status: response.status, body: response.body };
+            }
+        }
+        throw this._error(response);
+    }
+
+    /**
+     * Closes the idle keep-alive connections.
+     */
+    close() {
+        this.agent.destroy();
+    }
+
+    /**
+     * Runs mapRequest. Nothing has been sent yet, so what it throws moves the email on to the next provider.
+     * @param {Object} message - The validated EmailMessage.
+     * @returns {Promise<*>} The request body.
+     * @private
+     */
+    async _mapRequest(message) {
+        try {
+            return await this.mapRequest(message);
+        } catch (error) {
+            throw new HttpProviderError(`mapRequest of provider ${this.name} failed: ${error.message}`, {
+                status: null,
+                retryable: true,
+                cause: error,
+                tryNextProvider: true
+            });
+        }
+    }
+
+    /**
+     * @returns {HttpProviderError}
+     * @private
+     */
+    _error({ status, headers, body }) {
+        const retryable = status === 408 || status === 429 || status >= 500;
+        const retryAfterMs = status === 429 || status === 503 ? parseRetryAfter(headers['retry-after']) : undefined;
+        const detail = typeof body === 'string' ? body : JSON.stringify(body);
+        return new HttpProviderError(`Provider ${this.name} answered HTTP ${status}: ${String(detail).slice(0, 200)}`, {
+            status,
+            body,
+            retryable,
+            retryAfterMs
+        });
+    }
+
+    /**
+     * Makes the HTTP request and reads the whole response.
+     * @returns {Promise<{status: number, headers: Object, body: *}>} The body is parsed when it is JSON.
+     * @private
+     */
+    _request(payload, headers, signal) {
+        return new Promise((resolve, reject) => {
+            if (signal && signal.aborted) {
+                reject(signal.reason);
+                return;
+            }
+            const request = this.transport.request(this.url, { method: this.method, headers, agent: this.agent }, response => {
+                const chunks = [];
+                response.on('data', chunk => chunks.push(chunk));
+                response.on('error', reject);
+                response.on('end', () => {
+                    const text = Buffer.concat(chunks).toString('utf8');
+                    let body = text === '' ? null : text;
+                    if (text !== '' && /\bjson\b/i.test(response.headers['content-type'] || '')) {
+                        try {
+                            body = JSON.parse(text);
+                        } catch (error) {
+                            // Keep the text; a success with a broken body still counts as sent
+                        }
+                    }
+                    resolve({ status: response.statusCode, headers: response.headers, body });
+                });
+            });
+            const onAbort = () => {
+                request.destroy();
+                reject(signal.reason);
+            };
+            if (signal) {
+                signal.addEventListener('abort', onAbort, { once: true });
+                request.on('close', () => signal.removeEventListener('abort', onAbort));
+            }
+            request.on('error', reject);
+            request.end(payload);
+        });
+    }
+}
+
+module.exports = {
+    HttpProvider,
+    HttpProviderError,
+    parseRetryAfter
+};
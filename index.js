@@ -16,8 +16,8 @@ async function runDemonstration() {
     // --- Testing Basic Send and Fallback ---
     demoLogger.log('\n--- Testing Basic Send and Fallback ---');
     const service = new EmailService([
-        (to, subject, body) => mockProvider1(to, subject, body, 0.5), // 50% success
-        (to, subject, body) => mockProvider2(to, subject, body, 1.0)  // 100% success
+        { name: 'mockProvider1', send: ({ to, subject, body }) => mockProvider1(to, subject, body, 0.5) }, // 50% success
+        { name: 'mockProvider2', send: ({ to, subject, body }) => mockProvider2(to, subject, body, 1.0) }  // 100% success
     ], {
         maxRetries: 1,
         initialRetryDelay: 50,
@@ -33,7 +33,7 @@ async function runDemonstration() {
             subject: 'Quick Demo Email',
             body: 'This is a test email.'
         });
-        demoLogger.log(`Email ${emailId} sent successfully: ${result}`);
+        demoLogger.log(`Email ${emailId} sent successfully via ${result.provider}: ${result.response}`);
         demoLogger.log(`Status of ${emailId}: ${service.getEmailStatus(emailId)}`);
     } catch (error) {
         demoLogger.error(`Failed to send email 1: ${error.message}`);
@@ -61,7 +61,7 @@ async function runDemonstration() {
             subject: 'Idempotency Test',
             body: 'Second email for idempotency.'
         });
-        demoLogger.log(`Second send of ${idempotentId} result: ${result}`);
+        demoLogger.log(`Second send of ${idempotentId} result: ${result.response} (from idempotency cache: ${result.fromCache})`);
         demoLogger.log(`Status of ${idempotentId}: ${service.getEmailStatus(idempotentId)}`);
     } catch (error) {
         demoLogger.error(`Failed on idempotency test: ${error.message}`);
@@ -70,7 +70,7 @@ async function runDemonstration() {
     // --- Testing Rate Limiting and Queueing ---
     demoLogger.log('\n--- Testing Rate Limiting and Queueing ---');
     const rateLimitService = new EmailService([
-        (to, subject, body) => mockProvider1(to, subject, body, 1.0)
+        { name: 'mockProvider1', send: ({ to, subject, body }) => mockProvider1(to, subject, body, 1.0) }
     ], {
         rateLimitWindowMs: 500, // Short window
         maxRequestsPerWindow: 1, // Allow only 1 request per window
@@ -90,7 +90,7 @@ async function runDemonstration() {
                 subject: `Rate Limit Test ${i}`,
                 body: `Body ${i}`
             }).then(result => {
-                demoLogger.log(`[Rate Limit Test] Sent ${emailId}: ${result}`);
+                demoLogger.log(`[Rate Limit Test] Sent ${emailId} via ${result.provider}: ${result.response}`);
                 demoLogger.log(`Status of ${emailId}: ${rateLimitService.getEmailStatus(emailId)}`);
             }).catch(e => {
                 demoLogger.error(`[Rate Limit Test] Failed to send ${emailId}: ${e.message}`);
@@ -111,12 +111,11 @@ async function runDemonstration() {
 
     // --- Testing Circuit Breaker Activation (Provider 1 fails) ---
     demoLogger.log('\n--- Testing Circuit Breaker Activation (Provider 1 fails) ---');
-    // Store the provider function in a variable to ensure we use the same reference
-    const cbMockProvider1 = (to, subject, body) => mockProvider1(to, subject, body, 0.0); // Provider 1 always fails
-    const cbMockProvider2 = (to, subject, body) => mockProvider2(to, subject, body, 1.0);  // Provider 2 always succeeds
+    const cbMockProvider1 = { name: 'mockProvider1', send: ({ to, subject, body }) => mockProvider1(to, subject, body, 0.0) }; // Provider 1 always fails
+    const cbMockProvider2 = { name: 'mockProvider2', send: ({ to, subject, body }) => mockProvider2(to, subject, body, 1.0) };  // Provider 2 always succeeds
 
     const circuitBreakerService = new EmailService([
-        cbMockProvider1, // Use the stored reference
+        cbMockProvider1,
         cbMockProvider2
     ], {
         maxRetries: 0, // Fail fast
@@ -132,7 +131,7 @@ async function runDemonstration() {
         const emailId = `quick-cb-1-${cbTimestamp}`;
         demoLogger.log(`Sending email ${emailId} (expect P1 fail, P2 success)...`);
         const result = await circuitBreakerService.sendEmail({ emailId, to: 'cb@example.com', subject: 'Circuit Breaker Test 1', body: 'Testing P1 fail.' });
-        demoLogger.log(`Sent ${emailId}: ${result}`);
+        demoLogger.log(`Sent ${emailId} via ${result.provider}: ${result.response}`);
     } catch (error) {
         demoLogger.error(`Failed to send ${`quick-cb-1-${cbTimestamp}`}: ${error.message}`);
     }
@@ -143,7 +142,7 @@ async function runDemonstration() {
         const emailId = `quick-cb-2-${cbTimestamp}`;
         demoLogger.log(`Sending email ${emailId} (expect P1 fail, P2 success)...`);
         const result = await circuitBreakerService.sendEmail({ emailId, to: 'cb@example.com', subject: 'Circuit Breaker Test 2', body: 'Testing P1 fail.' });
-        demoLogger.log(`Sent ${emailId}: ${result}`);
+        demoLogger.log(`Sent ${emailId} via ${result.provider}: ${result.response}`);
     } catch (error) {
         demoLogger.error(`Failed to send ${`quick-cb-2-${cbTimestamp}`}: ${error.message}`);
     }
@@ -151,14 +150,14 @@ async function runDemonstration() {
 
     // At this point, P1's circuit should be open. Subsequent requests should bypass P1.
     await sleep(50); // Give a tiny moment for CB state to settle if async
-    // Use the stored reference `cbMockProvider1` to get the circuit state
-    demoLogger.log('Checking circuit state for Provider 1 (should be open):', circuitBreakerService.circuitBreakers.get(cbMockProvider1).isOpen);
+    // Circuit state is keyed by provider name
+    demoLogger.log('Checking circuit state for Provider 1 (should be open):', circuitBreakerService.circuitBreakers.get('mockProvider1').isOpen);
 
     try {
         const emailId = `quick-cb-3-${cbTimestamp}`;
         demoLogger.log(`Sending email ${emailId} (expect P1 bypassed, P2 success)...`);
         const result = await circuitBreakerService.sendEmail({ emailId, to: 'cb@example.com', subject: 'Circuit Breaker Test 3', body: 'Testing P1 bypassed.' });
-        demoLogger.log(`Sent ${emailId}: ${result}`);
+        demoLogger.log(`Sent ${emailId} via ${result.provider}: ${result.response}`);
     } catch (error) {
         demoLogger.error(`Failed to send ${`quick-cb-3-${cbTimestamp}`}: ${error.message}`);
     }
@@ -0,0 +1,417 @@
+//message.js
+
+const { ErrorCodes, EmailSendError } = require('C:\\resilient-email-service\\errors');
+const { validateAttachments, loadAttachments } = require('C:\\resilient-email-service\\attachments');
+
+/**
+ * A parsed mailbox.
+ * @typedef {Object} Address
+ * @property {string} address - The addr-spec, e.g. `jane@example.com`.
+ * @property {string} [name] - Display name, e.g. `Jane Doe`.
+ */
+
+/**
+ * The validated message passed whole to providers.
+ * @typedef {Object} EmailMessage
+ * @property {string} emailId - Unique ID for the email.
+ * @property {Address | null} from - Sender, or null to let the provider use its default.
+ * @property {Array<Address>} replyTo - Reply-To mailboxes.
+ * @property {Array<Address>} to - Primary recipients.
+ * @property {Array<Address>} cc - Carbon-copy recipients.
+ * @property {Array<Address>} bcc - Blind carbon-copy recipients.
+ * @property {string} subject - Email subject.
+ * @property {string | null} text - Plain-text part.
+ * @property {string | null} html - HTML part.
+ * @property {Object<string, string>} headers - Extra headers.
+ * @property {Array<string>} tags - Free-form tags for routing and reporting.
+ * @property {Array<Object>} attachments - Loaded attachments (see attachments.js). Descriptors until prepareMessage loads them.
+ */
+
+// RFC 5322 atext, i.e. the characters allowed in an unquoted atom
+const ATEXT = "A-Za-z0-9!#$%&'*+/=?^_`{|}~-";
+const DOT_ATOM = new RegExp(`^[${ATEXT}]+(\\.[${ATEXT}]+)*$`);
+const QUOTED_LOCAL = /^"([^"\\\r\n]|\\.)*"$/;
+const HOSTNAME = /^(?=.{1,253}$)([A-Za-z0-9]([A-Za-z0-9-]{0,61}[A-Za-z0-9])?\.)*[A-Za-z0-9]([A-Za-z0-9-]{0,61}[A-Za-z0-9])?$/;
+const DOMAIN_LITERAL = /^\[(\d{1,3}\.){3}\d{1,3}\]$/;
+const HEADER_NAME = /^[!-9;-~]+$/; // Printable ASCII except ':'
+
+// Headers the message model or the MIME builder (mime.js) owns; setting them through `headers` would conflict
+const RESERVED_HEADERS = new Set([
+    'from', 'to', 'cc', 'bcc', 'subject', 'reply-to',
+    'mime-version', 'content-type', 'content-transfer-encoding',
+    'message-id', 'date'
+]);
+
+/**
+ * Splits an address list on commas that are not inside quotes, comments or angle brackets.
+ * @param {string} value - e.g. `"Doe, John" <john@example.com>, jane@example.com`
+ * @returns {Array<string>} The individual (untrimmed) mailboxes.
+ */
+function splitAddressList(value) {
+    const parts = [];
+    let current = '';
+    let inQuotes = false;
+    let angleDepth = 0;
+    let commentDepth = 0;
+
+    for (let i = 0; i < value.length; i++) {
+        const char = value[i];
+        if (inQuotes) {
+            current += char;
+            if (char === '\\' && i + 1 < value.length) {
+                current += value[++i];
+            } else if (char === '"') {
+                inQuotes = false;
+            }
+            continue;
+        }
+        if (char === '"') inQuotes = true;
+        else if (char === '<') angleDepth++;
+        else if (char === '>') angleDepth = Math.max(0, angleDepth - 1);
+        else if (char === '(') commentDepth++;
+        else if (char === ')') commentDepth = Math.max(0, commentDepth - 1);
+        else if (char === ',' && angleDepth === 0 && commentDepth === 0) {
+            parts.push(current);
+            current = '';
+            continue;
+        }
+        current += char;
+    }
+    parts.push(current);
+    return parts;
+}
+
+/**
+ * Checks an addr-spec (`local@domain`).
+ * @param {string} addrSpec
+ * @returns {boolean} True if the address is valid.
+ */
+function isValidAddrSpec(addrSpec) {
+    const at = addrSpec.lastIndexOf('@');
+    if (at <= 0 || at === addrSpec.length - 1 || addrSpec.length > 254) return false;
+    const local = addrSpec.slice(0, at);
+    const domain = addrSpec.slice(at + 1);
+    if (local.length > 64) return false;
+    if (!DOT_ATOM.test(local) && !QUOTED_LOCAL.test(local)) return false;
+    return HOSTNAME.test(domain) || DOMAIN_LITERAL.test(domain);
+}
+
+/**
+ * Removes RFC 5322 comments, e.g. `jane@example.com (Jane)`.
+ * @param {string} value
+ * @returns {string}
+ */
+function stripComments(value) {
+    let result = '';
+    let depth = 0;
+    let inQuotes = false;
+    for (let i = 0; i < value.length; i++) {
+        const char = value[i];
+        if (inQuotes) {
+            result += char;
+            if (char === '\\' && i + 1 < value.length) result += value[++i];
+            else if (char === '"') inQuotes = false;
+        } else if (char === '"' && depth === 0) {
+            inQuotes = true;
+            result += char;
+        } else if (char === '(') {
+            depth++;
+        } else if (char === ')' && depth > 0) {
+            depth--;
+        } else if (depth === 0) {
+            result += char;
+        }
+    }
+    return result;
+}
+
+/**
+ * Turns a display-name phrase into plain text (unquoting quoted-strings).
+ * @param {string} phrase
+ * @returns {string}
+ */
+function decodePhrase(phrase) {
+    const trimmed = phrase.trim();
+    if (trimmed.startsWith('"') && trimmed.endsWith('"') && trimmed.length >= 2) {
+        return trimmed.slice(1, -1).replace(/\\(.)/g, '$1');
+    }
+    return trimmed.replace(/\s+/g, ' ');
+}
+
+/**
+ * Parses a single mailbox: `jane@example.com`, `Jane Doe <jane@example.com>`
+ * or `"Doe, Jane" <jane@example.com>`.
+ * @param {string | Address} value - Mailbox string, or an already parsed address.
+ * @returns {Address} The parsed address.
+ * @throws {Error} If the mailbox is not a valid RFC 5322 address.
+ */
+function parseAddress(value) {
+    if (value && typeof value === 'object') {
+        const address = typeof value.address === 'string' ? value.address.trim() : '';
+        if (!isValidAddrSpec(address)) {
+            throw new Error(`Invalid email address "${value.address}".`);
+        }
+        if (value.name !== undefined && (typeof value.name !== 'string' || /[\r\n]/.test(value.name))) {
+            throw new Error(`Invalid display name for "${address}".`);
+        }
+        return value.name ? { name: value.name, address } : { address };
+    }
+    if (typeof value !== 'string' || /[\r\n]/.test(value)) {
+        throw new Error(`Invalid email address "${value}".`);
+    }
+
+    const mailbox = stripComments(value).trim();
+    const open = mailbox.lastIndexOf('<');
+    if (open === -1) {
+        if (!isValidAddrSpec(mailbox)) {
+            throw new Error(`Invalid email address "${value.trim()}".`);
+        }
+        return { address: mailbox };
+    }
+
+    if (!mailbox.endsWith('>')) {
+        throw new Error(`Invalid email address "${value.trim()}": missing closing ">".`);
+    }
+    const address = mailbox.slice(open + 1, -1).trim();
+    if (!isValidAddrSpec(address)) {
+        throw new Error(`Invalid email address "${address}".`);
+    }
+    const name = decodePhrase(mailbox.slice(0, open));
+    return name ? { name, address } : { address };
+}
+
+/**
+ * Parses a recipient field. Accepts a comma separated string, a single address
+ * object, or an array of either.
+ * @param {string | Address | Array<string | Address> | undefined} value
+ * @returns {Array<Address>} The parsed addresses (empty if the field was not set).
+ */
+function parseAddressList(value) {
+    if (value === undefined || value === null || value === '') return [];
+    const items = Array.isArray(value) ? value : [value];
+    const addresses = [];
+    for (const item of items) {
+        if (typeof item === 'string') {
+            for (const part of splitAddressList(item)) {
+                if (part.trim()) addresses.push(parseAddress(part));
+            }
+        } else {
+            addresses.push(parseAddress(item));
+        }
+    }
+    return addresses;
+}
+
+/**
+ * Formats an address for a header, quoting the display name when it needs it.
+ * @param {Address} address
+ * @returns {string} e.g. `"Doe, Jane" <jane@example.com>`
+ */
+function formatAddress(address) {
+    if (!address.name) return address.address;
+    const name = /^[A-Za-z0-9!#$%&'*+/=?^_`{|}~ -]+$/.test(address.name)
+        ? address.name
+        : `"${address.name.replace(/(["\\])/g, '\\$1')}"`;
+    return `${name} <${address.address}>`;
+}
+
+/**
+ * @param {Array<Address>} addresses
+ * @returns {string} Comma separated header value.
+ */
+function formatAddressList(addresses) {
+    return addresses.map(formatAddress).join(', ');
+}
+
+/**
+ * @param {EmailMessage} message
+ * @returns {number} Number of recipients across to, cc and bcc.
+ */
+function countRecipients(message) {
+    return message.to.length + message.cc.length + message.bcc.length;
+}
+
+/**
+ * Validates raw email data and turns it into an EmailMessage.
+ * All problems are reported together in one VALIDATION error.
+ * `body` is accepted as an alias for `text`, so existing callers keep working.
+ * @param {Object} emailData - The email data passed to sendEmail.
+ * @returns {EmailMessage} The validated message.
+ * @throws {EmailSendError} With code VALIDATION if the data is invalid.
+ */
+function normalizeMessage(emailData) {
+    if (!emailData || typeof emailData !== 'object') {
+        throw new EmailSendError('Email data must be an object.', { code: ErrorCodes.VALIDATION });
+    }
+
+    const problems = [];
+    const field = (name, parse) => {
+        try {
+            return parse(emailData[name]);
+        } catch (error) {
+            problems.push(`${name}: ${error.message}`);
+            return undefined;
+        }
+    };
+
+    const { emailId, subject } = emailData;
+    if (typeof emailId !== 'string' || emailId === '') {
+        problems.push('emailId is required.');
+    }
+    if (typeof subject !== 'string' || subject === '') {
+        problems.push('subject is required.');
+    } else if (/[\r\n]/.test(subject)) {
+        problems.push('subject must not contain line breaks.');
+    }
+
+    const from = field('from', value => (value === undefined || value === null ? null : parseAddress(value)));
+    const replyTo = field('replyTo', parseAddressList);
+    const to = field('to', parseAddressList);
+    const cc = field('cc', parseAddressList);
+    const bcc = field('bcc', parseAddressList);
+    if (to && cc && bcc && to.length + cc.length + bcc.length === 0) {
+        problems.push('at least one recipient (to, cc or bcc) is required.');
+    }
+
+    const text = emailData.text !== undefined ? emailData.text : emailData.body;
+    const { html } = emailData;
+    for (const [name, value] of [['text', text], ['html', html]]) {
+        if (value !== undefined && value !== null && typeof value !== 'string') {
+            problems.push(`${name} must be a string.`);
+        }
+    }
+    if (!text && !html) {
+        problems.push('a body (text, html or body) is required.');
+    }
+
+    const headers = {};
+    if (emailData.headers !== undefined) {
+        if (!emailData.headers || typeof emailData.headers !== 'object' || Array.isArray(emailData.headers)) {
+            problems.push('headers must be an object.');
+        } else {
+            for (const [name, value] of Object.entries(emailData.headers)) {
+                if (!HEADER_NAME.test(name)) {
+                    problems.push(`header name "${name}" is invalid.`);
+                } else if (RESERVED_HEADERS.has(name.toLowerCase())) {
+                    problems.push(`header "${name}" is written by the service and cannot be set through headers.`);
+                } else if (typeof value !== 'string' || /[\r\n]/.test(value)) {
+                    problems.push(`header "${name}" must be a single-line string.`);
+                } else {
+                    headers[name] = value;
+                }
+            }
+        }
+    }
+
+    const tags = emailData.tags === undefined ? [] : emailData.tags;
+    if (!Array.isArray(tags) || tags.some(tag => typeof tag !== 'string' || tag === '')) {
+        problems.push('tags must be an array of non-empty strings.');
+    }
+
+    const checkedAttachments = validateAttachments(emailData.attachments);
+    problems.push(...checkedAttachments.problems);
+
+    if (problems.length > 0) {
+        throw new EmailSendError(`Invalid email data: ${problems.join(' ')}`, {
+            code: ErrorCodes.VALIDATION,
+            emailId: typeof emailId === 'string' ? emailId : undefined
+        });
+    }
+
+    return {
+        emailId,
+        from,
+        replyTo,
+        to,
+        cc,
+        bcc,
+        subject,
+        text: text || null,
+        html: html || null,
+        headers,
+        tags: [...tags],
+        attachments: checkedAttachments.attachments
+    };
+}
+
+/**
+ * @param {EmailMessage} message - A message with loaded attachments.
+ * @returns {number} Size in bytes of the text and HTML parts plus all attachments.
+ */
+function messageSize(message) {
+    return Buffer.byteLength(message.text || '') +
+        Buffer.byteLength(message.html || '') +
+        message.attachments.reduce((total, attachment) => total + attachment.size, 0);
+}
+
+/**
+ * Validates email data and loads its attachments, enforcing a total size limit.
+ * @param {Object} emailData - The email data passed to sendEmail.
+ * @param {Object} options
+ * @param {number} options.maxMessageBytes - Maximum size of the message (parts plus attachments).
+ * @returns {Promise<EmailMessage>} The validated message, ready for providers.
+ * @throws {EmailSendError} With code VALIDATION if the data is invalid, an attachment cannot be read, or the message is too large.
+ */
+async function prepareMessage(emailData, { maxMessageBytes }) {
+    const message = normalizeMessage(emailData);
+    const bodyBytes = messageSize({ ...message, attachments: [] });
+    if (bodyBytes > maxMessageBytes) {
+        throw new EmailSendError(`Email ${message.emailId} is ${bodyBytes} bytes, over the ${maxMessageBytes} byte limit.`, {
+            code: ErrorCodes.VALIDATION,
+            emailId: message.emailId
+        });
+    }
+    try {
+        message.attachments = await loadAttachments(message.attachments, maxMessageBytes - bodyBytes);
+    } catch (error) {
+        throw new EmailSendError(`Invalid attachments for email ${message.emailId}: ${error.message}`, {
+            code: ErrorCodes.VALIDATION,
+            emailId: message.emailId,
+            cause: error
+        });
+    }
+    return message;
+}
+
+/**
+ * Converts a prepared message into plain JSON (attachment data as base64) so it can be journaled.
+ * @param {EmailMessage} message
+ * @returns {Object}
+ */
+function serializeMessage(message) {
+    return {
+        ...message,
+        attachments: message.attachments.map(attachment => ({
+            ...attachment,
+            content: attachment.content.toString('base64')
+        }))
+    };
+}
+
+/**
+ * Reverses serializeMessage.
+ * @param {Object} data - Output of serializeMessage.
+ * @returns {EmailMessage}
+ */
+function deserializeMessage(data) {
+    return {
+        ...data,
+        attachments: (data.attachments || []).map(attachment => ({
+            ...attachment,
+            content: Buffer.from(attachment.content, 'base64')
+        }))
+    };
+}
+
+module.exports = {
+    parseAddress,
+    parseAddressList,
+    formatAddress,
+    formatAddressList,
+    countRecipients,
+    messageSize,
+    normalizeMessage,
+    prepareMessage,
+    serializeMessage,
+    deserializeMessage
+};
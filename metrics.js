@@ -0,0 +1,290 @@
+//metrics.js
+
+// Default histogram buckets, in seconds
+const DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+/**
+ * @param {Object<string, string>} labels
+ * @returns {string} A stable key for a label set.
+ */
+function labelKey(labels) {
+    return JSON.stringify(Object.keys(labels).sort().map(name => [name, labels[name]]));
+}
+
+/**
+ * Formats labels for the Prometheus text format, e.g. `{provider="ses",code="x"}`.
+ * @param {Object<string, string>} labels
+ * @returns {string}
+ */
+function formatLabels(labels) {
+    const pairs = Object.entries(labels).map(([name, value]) =>
+        `${name}="${String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n')}"`
+    );
+    return pairs.length > 0 ? `{${pairs.join(',')}}` : '';
+}
+
+/**
+ * @param {number} value
+ * @returns {string} The value as Prometheus writes numbers.
+ */
+function formatValue(value) {
+    if (value === Infinity) return '+Inf';
+    if (value === -Infinity) return '-Inf';
+    return String(value);
+}
+
+/**
+ * Base for the metric types: a name, help text and values per label set.
+ */
+class Metric {
+    /**
+     * @param {string} type - 'counter', 'gauge' or 'histogram'.
+     * @param {string} name - Metric name, e.g. 'email_sent_total'.
+     * @param {string} help - One-line description.
+     * @param {Array<string>} labelNames - Labels every observation must have.
+     */
+    constructor(type, name, help, labelNames) {
+        this.type = type;
+        this.name = name;
+        this.help = help;
+        this.labelNames = labelNames;
+        /** @type {Map<string, {labels: Object<string, string>, value: *}>} */
+        this.series = new Map();
+    }
+
+    /**
+     * Drops every series whose labels include the given ones.
+     * @param {Object<string, string>} labels
+     */
+    removeSeries(labels) {
+        for (const [key, series] of this.series) {
+            if (Object.entries(labels).every(([name, value]) => series.labels[name] === String(value))) {
+                this.series.delete(key);
+            }
+        }
+    }
+
+    /**
+     * Finds or creates the series for a label set.
+     * @param {Object<string, string>} labels
+     * @param {function(): *} initial - Creates the starting value.
+     * @returns {{labels: Object<string, string>, value: *}}
+     * @private
+     */
+    _series(labels, initial) {
+        const missing = this.labelNames.filter(name => labels[name] === undefined);
+        if (missing.length > 0) {
+            throw new Error(`Metric ${this.name} needs labels: ${missing.join(', ')}.`);
+        }
+        const picked = {};
+        for (const name of this.labelNames) picked[name] = String(labels[name]);
+        const key = labelKey(picked);
+        if (!this.series.has(key)) {
+            this.series.set(key, { labels: picked, value: initial() });
+        }
+        return this.series.get(key);
+    }
+}
+
+/**
+ * A value that only goes up.
+ */
+class Counter extends Metric {
+    constructor(name, help, labelNames = []) {
+        super('counter', name, help, labelNames);
+    }
+
+    /**
+     * @param {Object<string, string>} [labels={}]
+     * @param {number} [amount=1]
+     */
+    inc(labels = {}, amount = 1) {
+        this._series(labels, () => 0).value += amount;
+    }
+}
+
+/**
+ * A value that goes up and down. With `collect` functions it is read when a snapshot is taken.
+ */
+class Gauge extends Metric {
+    /**
+     * @param {string} name
+     * @param {string} help
+     * @param {Array<string>} [labelNames=[]]
+     * @param {function(Gauge): void} [collect] - Called before every snapshot to set current values.
+     */
+    constructor(name, help, labelNames = [], collect = null) {
+        super('gauge', name, help, labelNames);
+        /** @type {Array<function(Gauge): void>} */
+        this.collectors = collect ? [collect] : [];
+    }
+
+    /**
+     * @param {function(Gauge): void} collect - A collector passed to the constructor or to MetricsRegistry.gauge.
+     */
+    removeCollector(collect) {
+        this.collectors = this.collectors.filter(candidate => candidate !== collect);
+    }
+
+    /**
+     * @param {Object<string, string>} labels
+     * @param {number} value
+     */
+    set(labels, value) {
+        this._series(labels, () => 0).value = value;
+    }
+}
+
+/**
+ * Counts observations into cumulative buckets, plus their sum and count.
+ */
+class Histogram extends Metric {
+    /**
+     * @param {string} name
+     * @param {string} help
+     * @param {Array<string>} [labelNames=[]]
+     * @param {Array<number>} [buckets=DEFAULT_BUCKETS] - Upper bounds, ascending.
+     */
+    constructor(name, help, labelNames = [], buckets = DEFAULT_BUCKETS) {
+        super('histogram', name, help, labelNames);
+        this.buckets = [...buckets].sort((a, b) => a - b);
+    }
+
+    /**
+     * @param {Object<string, string>} labels
+     * @param {number} value
+     */
+    observe(labels, value) {
+        const series = this._series(labels, () => ({ counts: this.buckets.map(() => 0), sum: 0, count: 0 }));
+        this.buckets.forEach((bound, index) => {
+            if (value <= bound) series.value.counts[index]++;
+        });
+        series.value.sum += value;
+        series.value.count++;
+    }
+}
+
+/**
+ * A set of named metrics that can be read as a snapshot or rendered for Prometheus.
+ */
+class MetricsRegistry {
+    constructor() {
+        /** @type {Map<string, Metric>} */
+        this.metrics = new Map();
+    }
+
+    /**
+     * Registers a metric, or returns the one already registered under its name.
+     * A gauge registered again adds its collector to the existing one.
+     * @param {Metric} metric
+     * @returns {Metric}
+     * @private
+     */
+    _register(metric) {
+        const existing = this.metrics.get(metric.name);
+        if (existing) {
+            if (existing.type !== metric.type) {
+                throw new Error(`Metric ${metric.name} is already registered as a ${existing.type}.`);
+            }
+            if (existing.labelNames.join() !== metric.labelNames.join()) {
+                throw new Error(`Metric ${metric.name} is already registered with labels ${existing.labelNames.join(', ') || '(none)'}.`);
+            }
+            if (metric.type === 'gauge') existing.collectors.push(...metric.collectors);
+            return existing;
+        }
+        this.metrics.set(metric.name, metric);
+        return metric;
+    }
+
+    /**
+     * @param {string} name
+     * @param {string} help
+     * @param {Array<string>} [labelNames]
+     * @returns {Counter}
+     */
+    counter(name, help, labelNames) {
+        return this._register(new Counter(name, help, labelNames));
+    }
+
+    /**
+     * @param {string} name
+     * @param {string} help
+     * @param {Array<string>} [labelNames]
+     * @param {function(Gauge): void} [collect]
+     * @returns {Gauge}
+     */
+    gauge(name, help, labelNames, collect) {
+        return this._register(new Gauge(name, help, labelNames, collect));
+    }
+
+    /**
+     * @param {string} name
+     * @param {string} help
+     * @param {Array<string>} [labelNames]
+     * @param {Array<number>} [buckets]
+     * @returns {Histogram}
+     */
+    histogram(name, help, labelNames, buckets) {
+        return this._register(new Histogram(name, help, labelNames, buckets));
+    }
+
+    /**
+     * Runs the gauge collectors so their values are current.
+     * @private
+     */
+    _collect() {
+        for (const metric of this.metrics.values()) {
+            if (metric.type !== 'gauge') continue;
+            for (const collect of metric.collectors) collect(metric);
+        }
+    }
+
+    /**
+     * @returns {Object<string, Object>} Every metric by name: `{ type, help, values }`. Counter and gauge values
+     * are `{ labels, value }`; histogram values are `{ labels, buckets: [{ le, count }], sum, count }` with cumulative counts.
+     */
+    snapshot() {
+        this._collect();
+        const snapshot = {};
+        for (const metric of this.metrics.values()) {
+            const values = Array.from(metric.series.values()).map(({ labels, value }) => {
+                if (metric.type !== 'histogram') return { labels: { ...labels }, value };
+                const buckets = metric.buckets.map((le, index) => ({ le, count: value.counts[index] }));
+                buckets.push({ le: Infinity, count: value.count });
+                return { labels: { ...labels }, buckets, sum: value.sum, count: value.count };
+            });
+            snapshot[metric.name] = { type: metric.type, help: metric.help, values };
+        }
+        return snapshot;
+    }
+
+    /**
+     * @returns {string} Every metric in the Prometheus text exposition format (version 0.0.4).
+     */
+    render() {
+        const lines = [];
+        for (const [name, { type, help, values }] of Object.entries(this.snapshot())) {
+            lines.push(`# HELP ${name} ${help.replace(/\\/g, '\\\\').replace(/\n/g, '\\n')}`);
+            lines.push(`# TYPE ${name} ${type}`);
+            for (const entry of values) {
+                if (type !== 'histogram') {
+                    lines.push(`${name}${formatLabels(entry.labels)} ${formatValue(entry.value)}`);
+                    continue;
+                }
+                for (const { le, count } of entry.buckets) {
+                    lines.push(`${name}_bucket${formatLabels({ ...entry.labels, le: formatValue(le) })} ${count}`);
+                }
+                lines.push(`${name}_sum${formatLabels(entry.labels)} ${formatValue(entry.sum)}`);
+                lines.push(`${name}_count${formatLabels(entry.labels)} ${entry.count}`);
+            }
+        }
+        return `${lines.join('\n')}\n`;
+    }
+}
+
+module.exports = {
+    MetricsRegistry,
+    Counter,
+    Gauge,
+    Histogram
+};
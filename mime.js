@@ -0,0 +1,199 @@
+//mime.js
+
+const crypto = require('crypto');
+const os = require('os');
+
+const CRLF = '\r\n';
+
+/**
+ * @param {string} value
+ * @returns {boolean} True if the string is printable 7-bit ASCII (plus tabs).
+ */
+function isPlainAscii(value) {
+    return /^[\x20-\x7e\t]*$/.test(value);
+}
+
+/**
+ * Wraps base64 data into 76 character lines, as required by RFC 2045.
+ * @param {Buffer} buffer
+ * @returns {string}
+ */
+function base64Lines(buffer) {
+    return buffer.toString('base64').replace(/.{76}/g, `$&${CRLF}`).replace(/\r\n$/, '');
+}
+
+/**
+ * Encodes header text as RFC 2047 encoded-words when it is not plain ASCII.
+ * Words are split on character boundaries so no UTF-8 sequence is cut in half.
+ * @param {string} value
+ * @returns {string}
+ */
+function encodeHeaderText(value) {
+    if (isPlainAscii(value)) return value;
+
+    const words = [];
+    let chunk = '';
+    for (const char of value) {
+        // 45 bytes of UTF-8 become 60 base64 chars, keeping each word under 75 chars
+        if (Buffer.byteLength(chunk + char) > 45) {
+            words.push(chunk);
+            chunk = '';
+        }
+        chunk += char;
+    }
+    if (chunk) words.push(chunk);
+    return words.map(word => `=?UTF-8?B?${Buffer.from(word).toString('base64')}?=`).join(`${CRLF} `);
+}
+
+/**
+ * Formats an address for a header, encoding a non-ASCII display name.
+ * @param {{name?: string, address: string}} address
+ * @returns {string}
+ */
+function formatHeaderAddress(address) {
+    if (!address.name) return address.address;
+    if (!isPlainAscii(address.name)) {
+        return `${encodeHeaderText(address.name)} <${address.address}>`;
+    }
+    if (/^[A-Za-z0-9!#$%&'*+/=?^_`{|}~ -]+$/.test(address.name)) {
+        return `${address.name} <${address.address}>`;
+    }
+    return `"${address.name.replace(/(["\\])/g, '\\$1')}" <${address.address}>`;
+}
+
+/**
+ * Formats an address list header, folding it onto several lines when long.
+ * @param {Array<{name?: string, address: string}>} addresses
+ * @returns {string}
+ */
+function formatAddressHeader(addresses) {
+    return addresses.map(formatHeaderAddress).join(`,${CRLF} `);
+}
+
+/**
+ * Builds the `filename` parameter, adding an RFC 2231 `filename*` for non-ASCII names.
+ * @param {string} filename
+ * @returns {string}
+ */
+function filenameParameter(filename) {
+    if (isPlainAscii(filename)) return `filename="${filename}"`;
+    const fallback = filename.replace(/[^\x20-\x7e]/g, '_');
+    return `filename="${fallback}";${CRLF} filename*=UTF-8''${encodeURIComponent(filename)}`;
+}
+
+/**
+ * @param {string} prefix
+ * @returns {string} A boundary that will not appear in base64 or 7bit text we produce.
+ */
+function createBoundary(prefix) {
+    return `----=_${prefix}_${crypto.randomBytes(12).toString('hex')}`;
+}
+
+/**
+ * Builds a text part, using 7bit for short ASCII lines and base64 otherwise.
+ * @param {string} content
+ * @param {'plain' | 'html'} subtype
+ * @returns {string}
+ */
+function textPart(content, subtype) {
+    const normalized = content.replace(/\r?\n/g, CRLF);
+    const lines = normalized.split(CRLF);
+    if (lines.every(line => isPlainAscii(line) && line.length <= 998)) {
+        return [
+            `Content-Type: text/${subtype}; charset=utf-8`,
+            'Content-Transfer-Encoding: 7bit',
+            '',
+            normalized
+        ].join(CRLF);
+    }
+    return [
+        `Content-Type: text/${subtype}; charset=utf-8`,
+        'Content-Transfer-Encoding: base64',
+        '',
+        base64Lines(Buffer.from(normalized))
+    ].join(CRLF);
+}
+
+/**
+ * @param {Object} attachment - A loaded Attachment (see attachments.js).
+ * @returns {string} The MIME part for the attachment.
+ */
+function attachmentPart(attachment) {
+    const headers = [
+        `Content-Type: ${attachment.contentType}; name="${attachment.filename.replace(/[^\x20-\x7e]/g, '_')}"`,
+        'Content-Transfer-Encoding: base64',
+        `Content-Disposition: ${attachment.cid ? 'inline' : 'attachment'}; ${filenameParameter(attachment.filename)}`
+    ];
+    if (attachment.cid) {
+        headers.push(`Content-ID: <${attachment.cid}>`);
+    }
+    return [...headers, '', base64Lines(attachment.content)].join(CRLF);
+}
+
+/**
+ * Joins parts into a multipart body.
+ * @param {string} subtype - e.g. 'mixed', 'alternative', 'related'.
+ * @param {Array<string>} parts - Complete parts (headers, blank line, body).
+ * @returns {string} The multipart entity, including its Content-Type header.
+ */
+function multipart(subtype, parts) {
+    const boundary = createBoundary(subtype);
+    const body = parts.map(part => `--${boundary}${CRLF}${part}`).join(CRLF);
+    return `Content-Type: multipart/${subtype};${CRLF} boundary="${boundary}"${CRLF}${CRLF}${body}${CRLF}--${boundary}--`;
+}
+
+/**
+ * Builds a complete RFC 5322 / MIME message for providers that need raw MIME.
+ * Layout, from the outside in:
+ *   multipart/mixed      - when there are regular attachments
+ *   multipart/related    - when there are inline (cid) attachments next to an HTML part
+ *   multipart/alternative - when there are both text and HTML parts
+ * Bcc recipients are not written to the headers; they belong in the envelope only.
+ * @param {Object} message - A validated EmailMessage with loaded attachments.
+ * @param {Object} [options]
+ * @param {Date} [options.date=new Date()] - Date header.
+ * @param {string} [options.messageId] - Message-ID without angle brackets. Derived from the emailId by default.
+ * @returns {string} The message, with CRLF line endings.
+ */
+function buildMimeMessage(message, options = {}) {
+    const attachments = message.attachments || [];
+    const inline = message.html ? attachments.filter(attachment => attachment.cid) : [];
+    const regular = attachments.filter(attachment => !inline.includes(attachment));
+
+    let body;
+    if (message.text && message.html) {
+        body = multipart('alternative', [textPart(message.text, 'plain'), textPart(message.html, 'html')]);
+    } else if (message.html) {
+        body = textPart(message.html, 'html');
+    } else {
+        body = textPart(message.text || '', 'plain');
+    }
+    if (inline.length > 0) {
+        body = multipart('related', [body, ...inline.map(attachmentPart)]);
+    }
+    if (regular.length > 0) {
+        body = multipart('mixed', [body, ...regular.map(attachmentPart)]);
+    }
+
+    const domain = message.from ? message.from.address.split('@').pop() : os.hostname();
+    const messageId = options.messageId || `${String(message.emailId).replace(/[^A-Za-z0-9.!#$%&'*+/=?^_`{|}~-]/g, '_')}@${domain}`;
+    const headers = [];
+    if (message.from) headers.push(`From: ${formatHeaderAddress(message.from)}`);
+    if (message.to.length) headers.push(`To: ${formatAddressHeader(message.to)}`);
+    if (message.cc.length) headers.push(`Cc: ${formatAddressHeader(message.cc)}`);
+    if (message.replyTo.length) headers.push(`Reply-To: ${formatAddressHeader(message.replyTo)}`);
+    headers.push(`Subject: ${encodeHeaderText(message.subject)}`);
+    headers.push(`Date: ${(options.date || new Date()).toUTCString().replace('GMT', '+0000')}`);
+    headers.push(`Message-ID: <${messageId}>`);
+    for (const [name, value] of Object.entries(message.headers || {})) {
+        headers.push(`${name}: ${encodeHeaderText(value)}`);
+    }
+    headers.push('MIME-Version: 1.0');
+
+    return `${headers.join(CRLF)}${CRLF}${body}${CRLF}`;
+}
+
+module.exports = {
+    encodeHeaderText,
+    buildMimeMessage
+};
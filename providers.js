@@ -1,4 +1,6 @@
 
+const { formatAddressList } = require('C:\\resilient-email-service\\message');
+
 /**
  * Mock Email Provider 1.
  * Simulates sending an email with a configurable success rate.
@@ -41,7 +43,101 @@ const mockProvider2 = (to, subject, body, successRate = 0.9) => {
     });
 };
 
+/**
+ * What a provider can deliver. Anything not declared falls back to the defaults below.
+ * @typedef {Object} ProviderCapabilities
+ * @property {boolean} [attachments=false] - Provider accepts attachments.
+ * @property {boolean} [html=false] - Provider accepts an HTML body.
+ * @property {number} [maxRecipients=Infinity] - Maximum recipients per message.
+ * @property {boolean} [cc=true] - Provider delivers Cc recipients.
+ * @property {boolean} [bcc=true] - Provider delivers Bcc recipients.
+ * @property {boolean} [replyTo=true] - Provider sets Reply-To.
+ * @property {boolean} [from=true] - Provider sends from the message's own From address.
+ * @property {boolean} [headers=true] - Provider sends the message's extra headers.
+ * @property {number} [maxMessageBytes=Infinity] - Maximum message size (parts plus attachments).
+ * @property {boolean} [rawMime=false] - Provider wants the message as raw MIME in `message.raw`.
+ * @property {boolean} [batch=false] - Provider has a native batch endpoint, exposed as `sendBatch` (see batcher.js).
+ * @property {number} [maxBatchSize=100] - Most messages per `sendBatch` call.
+ */
+
+/**
+ * Email provider interface.
+ * @typedef {Object} EmailProvider
+ * @property {string} name - Stable, unique name used in logs, results and circuit state.
+ * @property {function(Object, Object): Promise<*>} send - Sends an EmailMessage (see message.js). The second argument is
+ * `{ signal, attempt, deadline }`: an AbortSignal that aborts when the attempt times out or the send is aborted,
+ * the attempt number against this provider, and the send deadline (epoch milliseconds) or null.
+ * @property {function(Array<Object>, Object): Promise<Array<*>>} [sendBatch] - Sends several messages in one call; required
+ * when `capabilities.batch` is set. Resolves with one entry per message: an Error for a failed message, otherwise its response.
+ * @property {function(Object): Promise<*>} [healthCheck] - Resolves if the provider is reachable, rejects otherwise. Gets
+ * `{ signal }`, which aborts when the check times out. Used by the service's periodic health checks.
+ * @property {ProviderCapabilities} [capabilities] - What the provider supports.
+ * @property {Object} [options] - Per-provider overrides of the service options
+ * (maxRetries, initialRetryDelay, retryPolicy, attemptTimeoutMs, rateLimit, circuitBreakerThreshold, circuitBreakerTimeoutMs).
+ */
+
+const DEFAULT_CAPABILITIES = Object.freeze({
+    attachments: false,
+    html: false,
+    maxRecipients: Infinity,
+    cc: true,
+    bcc: true,
+    replyTo: true,
+    from: true,
+    headers: true,
+    maxMessageBytes: Infinity,
+    rawMime: false,
+    batch: false,
+    maxBatchSize: 100
+});
+
+/**
+ * Turns a provider registration into an EmailProvider.
+ * Provider objects are validated and get default capabilities and options; plain
+ * `(to, subject, body)` functions are wrapped in an adapter named after the function
+ * (or `provider<N>` for anonymous functions). The adapter passes the `to` list as a
+ * comma separated string and the text part (or the HTML part if there is no text) as body.
+ * That is all a function can take, so the adapter declares no cc, bcc, replyTo, from or
+ * headers capability and the service does not give it messages that use them.
+ * @param {EmailProvider | Function} provider - The registered provider.
+ * @param {number} index - Position of the provider in the provider list.
+ * @returns {EmailProvider} The normalized provider.
+ */
+const normalizeProvider = (provider, index) => {
+    if (typeof provider === 'function') {
+        return {
+            name: provider.name || `provider${index + 1}`,
+            send: (message) => provider(formatAddressList(message.to), message.subject, message.text || message.html),
+            capabilities: { ...DEFAULT_CAPABILITIES, cc: false, bcc: false, replyTo: false, from: false, headers: false },
+            options: {}
+        };
+    }
+
+    if (!provider || typeof provider.send !== 'function') {
+        throw new Error(`Provider at index ${index} must be a function or an object with a send() method.`);
+    }
+    if (typeof provider.name !== 'string' || provider.name === '') {
+        throw new Error(`Provider at index ${index} must have a name.`);
+    }
+    if (provider.healthCheck !== undefined && typeof provider.healthCheck !== 'function') {
+        throw new Error(`Provider ${provider.name} has a healthCheck that is not a function.`);
+    }
+    if (provider.capabilities && provider.capabilities.batch && typeof provider.sendBatch !== 'function') {
+        throw new Error(`Provider ${provider.name} declares batch capability but has no sendBatch() method.`);
+    }
+
+    return {
+        name: provider.name,
+        send: provider.send.bind(provider),
+        sendBatch: provider.sendBatch ? provider.sendBatch.bind(provider) : undefined,
+        healthCheck: provider.healthCheck ? provider.healthCheck.bind(provider) : undefined,
+        capabilities: { ...DEFAULT_CAPABILITIES, ...provider.capabilities },
+        options: { ...provider.options }
+    };
+};
+
 module.exports = {
     mockProvider1,
-    mockProvider2
+    mockProvider2,
+    normalizeProvider
 };
\ No newline at end of file
@@ -0,0 +1,159 @@
+//queue.js
+
+/**
+ * Settings for one priority lane.
+ * @typedef {Object} LaneOptions
+ * @property {number} weight - Share of turns the lane gets while other lanes are also waiting.
+ * @property {number} maxSize - Most items the lane may hold.
+ */
+
+/**
+ * Default lanes, highest priority first.
+ * @type {Object<string, LaneOptions>}
+ */
+const DEFAULT_LANES = {
+    critical: { weight: 10, maxSize: 1000 },
+    transactional: { weight: 5, maxSize: 10000 },
+    bulk: { weight: 1, maxSize: 100000 }
+};
+
+/**
+ * A queue with several FIFO lanes.
+ * Lanes take turns by smooth weighted round-robin: with the default weights, critical
+ * items get 10 of every 16 turns while all three lanes are busy, but bulk items still
+ * get one, so a large campaign cannot starve and cannot be starved. Ties go to the
+ * lane listed first, so the highest lane is served first.
+ */
+class PriorityQueue {
+    /**
+     * @param {Object<string, LaneOptions>} [lanes=DEFAULT_LANES] - Lanes, highest priority first.
+     */
+    constructor(lanes = DEFAULT_LANES) {
+        const names = Object.keys(lanes);
+        if (names.length === 0) {
+            throw new Error('At least one queue lane is required.');
+        }
+        /** @type {Map<string, {weight: number, maxSize: number, items: Array<*>, current: number}>} */
+        this.lanes = new Map();
+        for (const name of names) {
+            const { weight, maxSize = Infinity } = lanes[name];
+            if (!(weight > 0) || !(maxSize > 0)) {
+                throw new Error(`Queue lane ${name} needs a positive weight and maxSize.`);
+            }
+            this.lanes.set(name, { weight, maxSize, items: [], current: 0 });
+        }
+    }
+
+    /**
+     * @returns {number} Total number of queued items.
+     */
+    get length() {
+        let total = 0;
+        for (const lane of this.lanes.values()) total += lane.items.length;
+        return total;
+    }
+
+    /**
+     * @param {string} name - Lane name.
+     * @returns {boolean} True if the queue has a lane with this name.
+     */
+    hasLane(name) {
+        return this.lanes.has(name);
+    }
+
+    /**
+     * @param {string} name - Lane name.
+     * @returns {boolean} True if the lane cannot take more items.
+     */
+    isFull(name) {
+        const lane = this.lanes.get(name);
+        return lane.items.length >= lane.maxSize;
+    }
+
+    /**
+     * Adds an item to the end of a lane.
+     * @param {*} item
+     * @param {string} name - Lane name.
+     * @returns {boolean} False if the lane is full and the item was not added.
+     */
+    push(item, name) {
+        const lane = this.lanes.get(name);
+        if (!lane) {
+            throw new Error(`Unknown queue lane ${name}.`);
+        }
+        if (lane.items.length >= lane.maxSize) return false;
+        lane.items.push(item);
+        return true;
+    }
+
+    /**
+     * Takes the next item, choosing the lane by smooth weighted round-robin over non-empty lanes.
+     * @param {function(*): boolean} [accept] - Lanes whose first item is not accepted sit this turn out.
+     * @returns {* | undefined} The item, or undefined if no lane has an acceptable item.
+     */
+    shift(accept = () => true) {
+        let chosen = null;
+        let totalWeight = 0;
+        for (const lane of this.lanes.values()) {
+            if (lane.items.length === 0 || !accept(lane.items[0])) continue;
+            lane.current += lane.weight;
+            totalWeight += lane.weight;
+            if (!chosen || lane.current > chosen.current) chosen = lane;
+        }
+        if (!chosen) return undefined;
+        chosen.current -= totalWeight;
+        return chosen.items.shift();
+    }
+
+    /**
+     * Removes every item that matches a predicate.
+     * @param {function(*): boolean} predicate
+     * @returns {Array<*>} The removed items.
+     */
+    remove(predicate) {
+        const removed = [];
+        for (const lane of this.lanes.values()) {
+            lane.items = lane.items.filter(item => {
+                if (!predicate(item)) return true;
+                removed.push(item);
+                return false;
+            });
+        }
+        return removed;
+    }
+
+    /**
+     * Empties every lane.
+     */
+    clear() {
+        for (const lane of this.lanes.values()) {
+            lane.items = [];
+            lane.current = 0;
+        }
+    }
+
+    /**
+     * @returns {Array<{lane: string, item: *}>} Every item, highest lane first, FIFO within a lane.
+     */
+    toArray() {
+        const all = [];
+        for (const [name, lane] of this.lanes) {
+            for (const item of lane.items) all.push({ lane: name, item });
+        }
+        return all;
+    }
+
+    /**
+     * @returns {Object<string, number>} Number of items in each lane.
+     */
+    depths() {
+        const depths = {};
+        for (const [name, lane] of this.lanes) depths[name] = lane.items.length;
+        return depths;
+    }
+}
+
+module.exports = {
+    PriorityQueue,
+    DEFAULT_LANES
+};
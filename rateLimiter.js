@@ -0,0 +1,218 @@
+//rateLimiter.js
+
+const { systemClock } = require('C:\\resilient-email-service\\clock');
+
+/**
+ * Limit settings, as accepted in options.
+ * @typedef {Object} RateLimitSpec
+ * @property {'tokenBucket' | 'slidingWindow'} strategy
+ * @property {number} [capacity] - tokenBucket: burst size.
+ * @property {number} [refillPerSecond] - tokenBucket: tokens added per second.
+ * @property {number} [limit] - slidingWindow: sends allowed per window.
+ * @property {number} [windowMs] - slidingWindow: window length in milliseconds.
+ */
+
+/**
+ * Allows bursts up to `capacity`, refilling at a steady rate.
+ */
+class TokenBucket {
+    /**
+     * @param {Object} options
+     * @param {number} options.capacity - Most tokens the bucket holds (the burst size).
+     * @param {number} options.refillPerSecond - Tokens added per second.
+     * @param {Object} [options.clock=systemClock] - Clock (see clock.js).
+     */
+    constructor({ capacity, refillPerSecond, clock = systemClock }) {
+        if (!(capacity > 0) || !(refillPerSecond > 0)) {
+            throw new Error('A token bucket needs a positive capacity and refillPerSecond.');
+        }
+        this.capacity = capacity;
+        this.refillPerSecond = refillPerSecond;
+        this.clock = clock;
+        this.tokens = capacity;
+        this.lastRefill = clock.now();
+    }
+
+    /**
+     * Adds the tokens earned since the last call.
+     * @private
+     */
+    _refill() {
+        const now = this.clock.now();
+        const earned = ((now - this.lastRefill) / 1000) * this.refillPerSecond;
+        this.tokens = Math.min(this.capacity, this.tokens + earned);
+        this.lastRefill = now;
+    }
+
+    /**
+     * @param {number} [count=1]
+     * @returns {number} Milliseconds until `count` tokens are available; 0 if they are now, Infinity if `count` exceeds the capacity.
+     */
+    msUntilAvailable(count = 1) {
+        this._refill();
+        if (this.tokens >= count) return 0;
+        if (count > this.capacity) return Infinity;
+        return Math.ceil(((count - this.tokens) / this.refillPerSecond) * 1000);
+    }
+
+    /**
+     * @param {number} [count=1]
+     */
+    take(count = 1) {
+        this._refill();
+        this.tokens -= count;
+    }
+}
+
+/**
+ * Allows at most `limit` sends in any `windowMs` long period.
+ */
+class SlidingWindow {
+    /**
+     * @param {Object} options
+     * @param {number} options.limit - Sends allowed per window.
+     * @param {number} options.windowMs - Window length in milliseconds.
+     * @param {Object} [options.clock=systemClock] - Clock (see clock.js).
+     */
+    constructor({ limit, windowMs, clock = systemClock }) {
+        if (!(limit > 0) || !(windowMs > 0)) {
+            throw new Error('A sliding window needs a positive limit and windowMs.');
+        }
+        this.limit = limit;
+        this.windowMs = windowMs;
+        this.clock = clock;
+        /** @type {Array<number>} */
+        this.timestamps = [];
+    }
+
+    /**
+     * Drops timestamps that have left the window.
+     * @private
+     */
+    _prune() {
+        const now = this.clock.now();
+        while (this.timestamps.length > 0 && now - this.timestamps[0] >= this.windowMs) {
+            this.timestamps.shift();
+        }
+    }
+
+    /**
+     * @param {number} [count=1]
+     * @returns {number} Milliseconds until `count` sends fit in the window; 0 if they do now, Infinity if `count` exceeds the limit.
+     */
+    msUntilAvailable(count = 1) {
+        this._prune();
+        const excess = this.timestamps.length + count - this.limit;
+        if (excess <= 0) return 0;
+        if (count > this.limit) return Infinity;
+        return this.timestamps[excess - 1] + this.windowMs - this.clock.now();
+    }
+
+    /**
+     * @param {number} [count=1]
+     */
+    take(count = 1) {
+        this._prune();
+        const now = this.clock.now();
+        for (let i = 0; i < count; i++) this.timestamps.push(now);
+    }
+}
+
+/**
+ * Builds a limiter from its spec.
+ * @param {RateLimitSpec} spec
+ * @param {Object} clock
+ * @returns {TokenBucket | SlidingWindow}
+ */
+function createLimiter(spec, clock) {
+    if (spec.strategy === 'tokenBucket') {
+        return new TokenBucket({ capacity: spec.capacity, refillPerSecond: spec.refillPerSecond, clock });
+    }
+    if (spec.strategy === 'slidingWindow') {
+        return new SlidingWindow({ limit: spec.limit, windowMs: spec.windowMs, clock });
+    }
+    throw new Error(`Unknown rate limit strategy ${spec.strategy}; use 'tokenBucket' or 'slidingWindow'.`);
+}
+
+/**
+ * A set of named limiters, e.g. 'global', 'provider:sendgrid', 'domain:gmail.com'.
+ * A request names the limiters it needs and how many tokens from each; it either gets
+ * all of them or none, so a send that is blocked by one limit never uses up another.
+ */
+class RateLimiter {
+    /**
+     * @param {Object} [options]
+     * @param {Object} [options.clock=systemClock] - Clock (see clock.js).
+     */
+    constructor({ clock = systemClock } = {}) {
+        this.clock = clock;
+        /** @type {Map<string, TokenBucket | SlidingWindow>} */
+        this.limiters = new Map();
+    }
+
+    /**
+     * Adds or replaces a limiter.
+     * @param {string} key
+     * @param {RateLimitSpec} spec
+     * @returns {RateLimiter} The rate limiter, for chaining.
+     */
+    set(key, spec) {
+        this.limiters.set(key, createLimiter(spec, this.clock));
+        return this;
+    }
+
+    /**
+     * @param {string} key
+     * @returns {boolean} True if a limiter is registered under this key.
+     */
+    has(key) {
+        return this.limiters.has(key);
+    }
+
+    /**
+     * @param {Array<[string, number]>} requests - Limiter keys and token counts. Keys without a limiter are unlimited.
+     * @returns {number} Milliseconds until every request could be met; 0 if they can be now.
+     */
+    msUntilAvailable(requests) {
+        let wait = 0;
+        for (const [key, count] of requests) {
+            const limiter = this.limiters.get(key);
+            if (limiter) wait = Math.max(wait, limiter.msUntilAvailable(count));
+        }
+        return wait;
+    }
+
+    /**
+     * Finds a request that no amount of waiting can meet, because it asks a limiter for more
+     * than its capacity (or window limit).
+     * @param {Array<[string, number]>} requests - Limiter keys and token counts.
+     * @returns {[string, number] | null} The first such request, or null.
+     */
+    findUnsatisfiable(requests) {
+        return requests.find(([key, count]) => {
+            const limiter = this.limiters.get(key);
+            return limiter !== undefined && limiter.msUntilAvailable(count) === Infinity;
+        }) || null;
+    }
+
+    /**
+     * Takes the tokens if every limiter has them, and nothing otherwise.
+     * @param {Array<[string, number]>} requests - Limiter keys and token counts.
+     * @returns {number} 0 if the tokens were taken, otherwise milliseconds until they could be.
+     */
+    tryAcquire(requests) {
+        const wait = this.msUntilAvailable(requests);
+        if (wait > 0) return wait;
+        for (const [key, count] of requests) {
+            const limiter = this.limiters.get(key);
+            if (limiter) limiter.take(count);
+        }
+        return 0;
+    }
+}
+
+module.exports = {
+    TokenBucket,
+    SlidingWindow,
+    RateLimiter
+};
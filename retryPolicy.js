@@ -0,0 +1,160 @@
+//retryPolicy.js
+
+const { sleep } = require('C:\\resilient-email-service\\utils');
+
+// Network error codes that are worth retrying
+const TRANSIENT_CODES = new Set(['ETIMEDOUT', 'ECONNRESET', 'ECONNREFUSED', 'ECONNABORTED', 'EPIPE', 'EAI_AGAIN', 'ENOTFOUND', 'TIMEOUT']);
+
+/**
+ * Default error classifier.
+ *   - `error.retryable` (boolean) or `error.permanent === true` decide when set.
+ *   - HTTP `status` / `statusCode`: 408, 429 and 5xx are transient, other 4xx are permanent.
+ *   - SMTP `responseCode`: 4xx is transient, 5xx is permanent.
+ *   - Network error codes such as ETIMEDOUT and ECONNRESET are transient.
+ *   - Anything else is treated as transient, so unknown errors are still retried.
+ * @param {Error} error
+ * @returns {'transient' | 'permanent'}
+ */
+function defaultClassifier(error) {
+    if (!error || typeof error !== 'object') return 'transient';
+    if (typeof error.retryable === 'boolean') return error.retryable ? 'transient' : 'permanent';
+    if (error.permanent === true) return 'permanent';
+    if (TRANSIENT_CODES.has(error.code)) return 'transient';
+
+    const status = error.status || error.statusCode;
+    if (typeof status === 'number') {
+        if (status === 408 || status === 429 || status >= 500) return 'transient';
+        if (status >= 400) return 'permanent';
+    }
+    if (typeof error.responseCode === 'number') {
+        return error.responseCode >= 500 ? 'permanent' : 'transient';
+    }
+    return 'transient';
+}
+
+/**
+ * Decides whether and when a failed provider call is retried.
+ */
+class RetryPolicy {
+    /**
+     * @param {Object} [options]
+     * @param {number} [options.maxRetries=3] - Retries after the first attempt; 0 disables retrying.
+     * @param {number} [options.initialDelayMs=100] - Delay before the first retry.
+     * @param {number} [options.multiplier=2] - Growth factor of the delay per retry.
+     * @param {number} [options.maxDelayMs=30000] - Upper bound for the computed delay.
+     * @param {'none' | 'full' | 'equal' | 'decorrelated'} [options.jitter='none'] - How the delay is randomised:
+     * full picks from [0, delay], equal from [delay/2, delay], decorrelated from [initialDelayMs, 3 x previous delay].
+     * @param {function(Error): ('transient' | 'permanent')} [options.classify=defaultClassifier] - Separates errors worth retrying from permanent ones.
+     * @param {number} [options.maxRetryAfterMs=60000] - Longest `retryAfterMs` hint that is waited for; a longer one ends the retries.
+     * @param {function(): number} [options.random=Math.random] - Random source, replaceable in tests.
+     */
+    constructor(options = {}) {
+        this.maxRetries = options.maxRetries !== undefined ? options.maxRetries : 3;
+        this.initialDelayMs = options.initialDelayMs !== undefined ? options.initialDelayMs : 100;
+        this.multiplier = options.multiplier || 2;
+        this.maxDelayMs = options.maxDelayMs !== undefined ? options.maxDelayMs : 30 * 1000;
+        this.jitter = options.jitter || 'none';
+        this.classify = options.classify || defaultClassifier;
+        this.maxRetryAfterMs = options.maxRetryAfterMs !== undefined ? options.maxRetryAfterMs : 60 * 1000;
+        this.random = options.random || Math.random;
+
+        if (!['none', 'full', 'equal', 'decorrelated'].includes(this.jitter)) {
+            throw new Error(`Unknown jitter ${this.jitter}; use 'none', 'full', 'equal' or 'decorrelated'.`);
+        }
+        if (!(this.maxRetries >= 0)) {
+            throw new Error('maxRetries must be 0 or more.');
+        }
+    }
+
+    /**
+     * @param {Object} overrides - Options to change.
+     * @returns {RetryPolicy} A copy of this policy with some options changed.
+     */
+    with(overrides) {
+        return new RetryPolicy({ ...this, ...overrides });
+    }
+
+    /**
+     * Computes the delay before a retry, without any retryAfterMs hint.
+     * @param {number} retry - 1 for the first retry, 2 for the second, and so on.
+     * @param {number} previousDelayMs - The delay used before the previous retry (initialDelayMs for the first).
+     * @returns {number} Delay in milliseconds.
+     */
+    delayFor(retry, previousDelayMs = this.initialDelayMs) {
+        if (this.jitter === 'decorrelated') {
+            const upper = Math.max(this.initialDelayMs, previousDelayMs * 3);
+            return Math.min(this.maxDelayMs, this.initialDelayMs + this.random() * (upper - this.initialDelayMs));
+        }
+        const base = Math.min(this.maxDelayMs, this.initialDelayMs * this.multiplier ** (retry - 1));
+        if (this.jitter === 'full') return this.random() * base;
+        if (this.jitter === 'equal') return base / 2 + this.random() * (base / 2);
+        return base;
+    }
+
+    /**
+     * Calls `fn` until it resolves or the policy gives up.
+     * Permanent errors are not retried. A `retryAfterMs` on the error (e.g. from a 429) is waited
+     * for instead of the computed delay when it is longer.
+     * @param {function(): Promise<*>} fn - The call to make.
+     * @param {Object} context
+     * @param {string} context.emailId - Used in log lines.
+     * @param {Object} context.logger - Logger with log and error methods.
+     * @param {function({attempt: number, delayMs: number, error: Error}): void} [context.onRetry] - Called before each retry.
+     * @param {AbortSignal} [context.signal] - Stops retrying when aborted; the run then rejects with `signal.reason`.
+     * @param {function(Error): boolean} [context.stopRetrying] - Errors for which this returns true end the retries
+     * without counting as permanent, so the caller can move on to another provider.
+     * @returns {Promise<*>} What `fn` resolved with.
+     * @throws {Error} After the last attempt, with `cause` (the last error), `attempts` and `permanent` set.
+     */
+    async run(fn, { emailId, logger, onRetry, signal, stopRetrying }) {
+        let attempt = 0;
+        let previousDelayMs = this.initialDelayMs;
+
+        for (;;) {
+            attempt++;
+            try {
+                if (signal && signal.aborted) throw signal.reason;
+                logger.log(`Attempt ${attempt} for email ${emailId}`);
+                return await fn();
+            } catch (error) {
+                if (signal && signal.aborted) throw signal.reason;
+                logger.error(`Attempt ${attempt} for email ${emailId} failed: ${error.message}`);
+
+                const permanent = this.classify(error) === 'permanent';
+                const retryAfterMs = error && typeof error.retryAfterMs === 'number' ? error.retryAfterMs : 0;
+                let stopReason = null;
+                if (permanent) {
+                    stopReason = `Permanent error for email ${emailId} on attempt ${attempt}, not retrying`;
+                } else if (stopRetrying && stopRetrying(error)) {
+                    stopReason = `Stopped retrying email ${emailId} after attempt ${attempt}`;
+                } else if (attempt > this.maxRetries) {
+                    stopReason = `Failed after ${attempt} attempts for email ${emailId}`;
+                } else if (retryAfterMs > this.maxRetryAfterMs) {
+                    stopReason = `Gave up on email ${emailId} after ${attempt} attempts: provider asked to wait ${retryAfterMs}ms, over the ${this.maxRetryAfterMs}ms limit`;
+                }
+
+                if (stopReason) {
+                    const errorMessage = `${stopReason}. Last error: ${error.message}`;
+                    logger.error(errorMessage);
+                    const failure = new Error(errorMessage);
+                    failure.cause = error;
+                    failure.attempts = attempt;
+                    failure.permanent = permanent;
+                    throw failure;
+                }
+
+                const delayMs = Math.round(Math.max(this.delayFor(attempt, previousDelayMs), retryAfterMs));
+                previousDelayMs = delayMs;
+                logger.log(`Retrying ${emailId}, attempt ${attempt + 1}/${this.maxRetries + 1} after ${delayMs}ms`);
+                if (onRetry) onRetry({ attempt: attempt + 1, delayMs, error });
+                await sleep(delayMs, signal);
+            }
+        }
+    }
+}
+
+module.exports = {
+    RetryPolicy,
+    defaultClassifier,
+    TRANSIENT_CODES
+};
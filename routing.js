@@ -0,0 +1,247 @@
+//routing.js
+
+/**
+ * Outcome of a provider, reported to the router after each provider is tried.
+ * @typedef {Object} ProviderObservation
+ * @property {number} providerIndex - Index of the provider in the service's provider list.
+ * @property {boolean} success - Whether the provider delivered the email.
+ * @property {number} latencyMs - Duration of the last attempt against the provider.
+ */
+
+/**
+ * Decides the order in which providers are tried for a message. The service still skips
+ * providers whose circuit is open, so a strategy only has to rank them.
+ * Custom strategies implement the same two methods.
+ */
+class RoutingStrategy {
+    /**
+     * @param {Array<Object>} providers - The service's EmailProviders.
+     * @param {Object} message - The validated EmailMessage.
+     * @returns {Array<number>} Provider indexes, in the order to try them.
+     */
+    order(providers, message) {
+        return providers.map((provider, index) => index);
+    }
+
+    /**
+     * Called after each provider is tried.
+     * @param {ProviderObservation} observation
+     */
+    observe(observation) {
+    }
+}
+
+/**
+ * Starts with whichever provider last delivered an email, then goes round the list.
+ * Once traffic moves to a fallback provider it stays there until that one fails.
+ */
+class StickyRouting extends RoutingStrategy {
+    constructor() {
+        super();
+        this.current = 0;
+    }
+
+    order(providers) {
+        return providers.map((provider, offset) => (this.current + offset) % providers.length);
+    }
+
+    observe({ providerIndex, success }) {
+        if (success) this.current = providerIndex;
+    }
+}
+
+/**
+ * Always tries providers in list order, so traffic returns to the primary as soon as its circuit lets it.
+ */
+class PriorityRouting extends RoutingStrategy {}
+
+/**
+ * Picks the first provider at random in proportion to `provider.options.weight` (default 1),
+ * then the next one from those left, and so on.
+ */
+class WeightedRouting extends RoutingStrategy {
+    /**
+     * @param {Object} [options]
+     * @param {function(): number} [options.random=Math.random] - Random source, replaceable in tests.
+     */
+    constructor({ random = Math.random } = {}) {
+        super();
+        this.random = random;
+    }
+
+    order(providers) {
+        const remaining = providers.map((provider, index) => ({
+            index,
+            weight: provider.options.weight !== undefined ? provider.options.weight : 1
+        }));
+        const ordered = [];
+        while (remaining.length > 0) {
+            const total = remaining.reduce((sum, entry) => sum + entry.weight, 0);
+            let pick = this.random() * total;
+            let chosen = remaining.length - 1;
+            for (let i = 0; i < remaining.length; i++) {
+                pick -= remaining[i].weight;
+                if (pick < 0) {
+                    chosen = i;
+                    break;
+                }
+            }
+            ordered.push(remaining.splice(chosen, 1)[0].index);
+        }
+        return ordered;
+    }
+}
+
+/**
+ * Tries the provider with the lowest observed latency first, tracked as an exponentially
+ * weighted moving average of attempts. A failed attempt counts `failurePenaltyMs` on top of
+ * its latency, so a provider that fails fast moves down. A provider without a measurement yet ranks as if it
+ * had that latency: after the healthy ones, ahead of the failing ones.
+ */
+class LeastLatencyRouting extends RoutingStrategy {
+    /**
+     * @param {Object} [options]
+     * @param {number} [options.alpha=0.3] - Weight of the newest measurement (0-1].
+     * @param {number} [options.failurePenaltyMs=10000] - Added to the latency of a failed attempt.
+     */
+    constructor({ alpha = 0.3, failurePenaltyMs = 10 * 1000 } = {}) {
+        super();
+        this.alpha = alpha;
+        this.failurePenaltyMs = failurePenaltyMs;
+        /** @type {Map<number, number>} */
+        this.latencies = new Map(); // EWMA latency in ms, by provider index
+    }
+
+    order(providers) {
+        const latency = index => (this.latencies.has(index) ? this.latencies.get(index) : this.failurePenaltyMs);
+        return providers.map((provider, index) => index).sort((a, b) => latency(a) - latency(b) || a - b);
+    }
+
+    observe({ providerIndex, success, latencyMs }) {
+        const sample = success ? latencyMs : latencyMs + this.failurePenaltyMs;
+        const previous = this.latencies.get(providerIndex);
+        this.latencies.set(providerIndex, previous === undefined ? sample : this.alpha * sample + (1 - this.alpha) * previous);
+    }
+}
+
+/**
+ * Tries the cheapest provider first, by `provider.options.cost`. Providers without a cost
+ * go last. Ties keep list order.
+ */
+class CostRouting extends RoutingStrategy {
+    order(providers) {
+        const cost = index => (providers[index].options.cost !== undefined ? providers[index].options.cost : Infinity);
+        return providers.map((provider, index) => index).sort((a, b) => cost(a) - cost(b) || a - b);
+    }
+}
+
+/**
+ * A routing rule: messages that match go to the listed providers first.
+ * @typedef {Object} RoutingRule
+ * @property {string | Array<string>} [domain] - Matches if any recipient (to, cc or bcc) is in one of these domains.
+ * @property {string | Array<string>} [tag] - Matches if the message has one of these tags.
+ * @property {Array<string>} providers - Provider names to try, in order.
+ * @property {boolean} [exclusive=false] - Only try the listed providers, never the others.
+ */
+
+/**
+ * Routes by recipient domain or message tag. The first matching rule puts its providers
+ * first; the other providers follow in the order of the `fallback` strategy. A rule with
+ * both `domain` and `tag` needs both to match. Messages matching no rule use `fallback`.
+ */
+class RuleRouting extends RoutingStrategy {
+    /**
+     * @param {Object} options
+     * @param {Array<RoutingRule>} options.rules - Checked in order.
+     * @param {RoutingStrategy} [options.fallback=new PriorityRouting()] - Orders everything the rules do not.
+     */
+    constructor({ rules, fallback = new PriorityRouting() }) {
+        super();
+        if (!Array.isArray(rules)) {
+            throw new Error('Rule routing needs a rules array.');
+        }
+        for (const rule of rules) {
+            if (!Array.isArray(rule.providers) || rule.providers.length === 0 || (rule.domain === undefined && rule.tag === undefined)) {
+                throw new Error('Each routing rule needs a domain or tag and a non-empty providers list.');
+            }
+        }
+        this.rules = rules.map(rule => ({
+            ...rule,
+            domains: rule.domain === undefined ? null : [].concat(rule.domain).map(domain => domain.toLowerCase()),
+            tags: rule.tag === undefined ? null : [].concat(rule.tag)
+        }));
+        this.fallback = fallback;
+    }
+
+    order(providers, message) {
+        const rest = this.fallback.order(providers, message);
+        const rule = this.rules.find(candidate => this._matches(candidate, message));
+        if (!rule) return rest;
+
+        const listed = rule.providers
+            .map(name => providers.findIndex(provider => provider.name === name))
+            .filter(index => index !== -1);
+        return rule.exclusive ? listed : [...listed, ...rest.filter(index => !listed.includes(index))];
+    }
+
+    observe(observation) {
+        if (this.fallback.observe) this.fallback.observe(observation);
+    }
+
+    /**
+     * @param {Object} rule - A normalized rule.
+     * @param {Object} message - The validated EmailMessage.
+     * @returns {boolean}
+     * @private
+     */
+    _matches(rule, message) {
+        if (rule.domains) {
+            const recipients = [...message.to, ...message.cc, ...message.bcc];
+            if (!recipients.some(recipient => rule.domains.includes(recipient.address.split('@').pop().toLowerCase()))) return false;
+        }
+        if (rule.tags && !rule.tags.some(tag => message.tags.includes(tag))) return false;
+        return Boolean(rule.domains || rule.tags);
+    }
+}
+
+const STRATEGIES = {
+    sticky: StickyRouting,
+    priority: PriorityRouting,
+    weighted: WeightedRouting,
+    leastLatency: LeastLatencyRouting,
+    cost: CostRouting,
+    rules: RuleRouting
+};
+
+/**
+ * Builds a routing strategy from its description.
+ * @param {string | Object | RoutingStrategy} spec - A strategy name ('sticky', 'priority', 'weighted',
+ * 'leastLatency', 'cost'), an object `{ strategy, ...options }` (rules take `rules` and a `fallback` spec),
+ * or an object with its own `order` method.
+ * @returns {RoutingStrategy}
+ */
+function createRouter(spec = 'sticky') {
+    if (spec && typeof spec.order === 'function') {
+        return spec;
+    }
+    const { strategy, ...options } = typeof spec === 'string' ? { strategy: spec } : spec;
+    const Strategy = STRATEGIES[strategy];
+    if (!Strategy) {
+        throw new Error(`Unknown routing strategy ${strategy}; use one of ${Object.keys(STRATEGIES).join(', ')}.`);
+    }
+    if (strategy === 'rules' && options.fallback !== undefined) {
+        options.fallback = createRouter(options.fallback);
+    }
+    return new Strategy(options);
+}
+
+module.exports = {
+    RoutingStrategy,
+    StickyRouting,
+    PriorityRouting,
+    WeightedRouting,
+    LeastLatencyRouting,
+    CostRouting,
+    RuleRouting,
+    createRouter
+};
@@ -0,0 +1,126 @@
+//scheduler.js
+
+const { systemClock } = require('C:\\resilient-email-service\\clock');
+
+// Longest delay setTimeout accepts; longer waits are done in several hops
+const MAX_TIMER_MS = 2 ** 31 - 1;
+
+/**
+ * A scheduled entry.
+ * @typedef {Object} ScheduledEntry
+ * @property {string} id - Entry ID (the emailId).
+ * @property {number} dueAt - When the entry is due, in milliseconds since the epoch.
+ * @property {*} payload - Whatever the owner stored with the entry.
+ */
+
+/**
+ * Keeps entries until they are due and then hands them to `onDue`.
+ * Time comes from an injectable clock, so tests can use a ManualClock.
+ */
+class Scheduler {
+    /**
+     * @param {Object} options
+     * @param {function(ScheduledEntry): void} options.onDue - Called once for each entry when it falls due.
+     * @param {Object} [options.clock=systemClock] - Clock (see clock.js).
+     * @param {boolean} [options.unref=false] - Let the process exit while entries are waiting.
+     */
+    constructor({ onDue, clock = systemClock, unref = false }) {
+        this.onDue = onDue;
+        this.clock = clock;
+        this.unref = unref;
+        /** @type {Map<string, ScheduledEntry & {timer: *}>} */
+        this.entries = new Map();
+    }
+
+    /**
+     * Adds an entry, replacing any existing entry with the same ID.
+     * @param {string} id
+     * @param {number} dueAt
+     * @param {*} payload
+     */
+    schedule(id, dueAt, payload) {
+        this.cancel(id);
+        const entry = { id, dueAt, payload, timer: null };
+        this.entries.set(id, entry);
+        this._arm(entry);
+    }
+
+    /**
+     * Moves an entry to a new due time.
+     * @param {string} id
+     * @param {number} dueAt
+     * @returns {boolean} False if there is no such entry.
+     */
+    reschedule(id, dueAt) {
+        const entry = this.entries.get(id);
+        if (!entry) return false;
+        this.clock.clearTimeout(entry.timer);
+        entry.dueAt = dueAt;
+        this._arm(entry);
+        return true;
+    }
+
+    /**
+     * Removes an entry without running it.
+     * @param {string} id
+     * @returns {ScheduledEntry | undefined} The removed entry, if there was one.
+     */
+    cancel(id) {
+        const entry = this.entries.get(id);
+        if (!entry) return undefined;
+        this.clock.clearTimeout(entry.timer);
+        this.entries.delete(id);
+        return { id: entry.id, dueAt: entry.dueAt, payload: entry.payload };
+    }
+
+    /**
+     * @param {string} id
+     * @returns {boolean} True if an entry with this ID is waiting.
+     */
+    has(id) {
+        return this.entries.has(id);
+    }
+
+    /**
+     * @returns {Array<ScheduledEntry>} Waiting entries, soonest first.
+     */
+    list() {
+        return Array.from(this.entries.values())
+            .map(({ id, dueAt, payload }) => ({ id, dueAt, payload }))
+            .sort((a, b) => a.dueAt - b.dueAt);
+    }
+
+    /**
+     * Stops every timer. Entries are kept, but will not fire.
+     */
+    stop() {
+        for (const entry of this.entries.values()) {
+            this.clock.clearTimeout(entry.timer);
+        }
+    }
+
+    /**
+     * Starts (or restarts) the timer for an entry.
+     * @param {Object} entry
+     * @private
+     */
+    _arm(entry) {
+        const delay = Math.min(Math.max(0, entry.dueAt - this.clock.now()), MAX_TIMER_MS);
+        entry.timer = this.clock.setTimeout(() => {
+            if (this.entries.get(entry.id) !== entry) return;
+            if (this.clock.now() < entry.dueAt) {
+                this._arm(entry); // Still early: the wait was longer than one timer allows
+                return;
+            }
+            this.entries.delete(entry.id);
+            this.onDue({ id: entry.id, dueAt: entry.dueAt, payload: entry.payload });
+        }, delay);
+        if (this.unref && entry.timer && typeof entry.timer.unref === 'function') {
+            entry.timer.unref();
+        }
+    }
+}
+
+module.exports = {
+    Scheduler
+};
@@ -0,0 +1,566 @@
+//smtp.js
+
+const net = require('net');
+const tls = require('tls');
+const os = require('os');
+const { StringDecoder } = require('string_decoder');
+const { parseAddress } = require('C:\\resilient-email-service\\message');
+const { buildMimeMessage } = require('C:\\resilient-email-service\\mime');
+
+const CRLF = '\r\n';
+
+/**
+ * A failed SMTP exchange. 4xx replies and network errors are retryable, and so are 5xx replies
+ * before MAIL; 5xx replies to MAIL, RCPT or DATA are permanent.
+ */
+class SmtpError extends Error {
+    /**
+     * @param {string} message - Human readable description.
+     * @param {Object} [details]
+     * @param {number | null} [details.responseCode=null] - SMTP reply code.
+     * @param {string | null} [details.response=null] - SMTP reply text.
+     * @param {string | null} [details.command=null] - The command that failed, without credentials.
+     * @param {boolean} [details.retryable=true] - Whether retrying (or another provider) may succeed.
+     * @param {string} [details.code] - Network error code such as ETIMEDOUT.
+     */
+    constructor(message, { responseCode = null, response = null, command = null, retryable = true, code } = {}) {
+        super(message);
+        this.name = 'SmtpError';
+        this.responseCode = responseCode;
+        this.response = response;
+        this.command = command;
+        this.retryable = retryable;
+        if (code) {
+            this.code = code;
+        }
+    }
+}
+
+/**
+ * Escapes lines starting with a dot and terminates the message for DATA (RFC 5321 section 4.5.2).
+ * @param {string} raw - The MIME message.
+ * @returns {string}
+ */
+function dotStuff(raw) {
+    const normalized = raw.replace(/\r?\n/g, CRLF);
+    const body = normalized.replace(/^\./gm, '..');
+    return `${body}${body.endsWith(CRLF) ? '' : CRLF}.${CRLF}`;
+}
+
+/**
+ * One SMTP session: greeting, EHLO, STARTTLS and AUTH once, then any number of transactions.
+ */
+class SmtpConnection {
+    /**
+     * @param {Object} config - Connection settings prepared by SmtpProvider.
+     */
+    constructor(config) {
+        this.config = config;
+        this.socket = null;
+        this.listeners = null;
+        this.secure = Boolean(config.secure);
+        /** @type {Map<string, string>} */
+        this.extensions = new Map(); // EHLO keyword -> parameters
+        this.messagesSent = 0;
+        this.closed = false;
+        this.error = null;
+        this.idleTimer = null;
+        this.decoder = null; // Per socket, so a character split across chunks survives
+        this.buffer = '';
+        this.replyLines = [];
+        this.replies = []; // Complete replies nobody has read yet
+        this.waiter = null;
+    }
+
+    /**
+     * Connects and gets the session ready for MAIL.
+     * @returns {Promise<void>}
+     */
+    async open() {
+        const { host, port, tls: tlsOptions } = this.config;
+        this._attach(this.secure
+            ? tls.connect({ host, port, servername: net.isIP(host) ? undefined : host, ...tlsOptions })
+            : net.connect({ host, port }));
+        this._expect(await this._read(), [220], 'greeting', 'connect');
+        await this._ehlo();
+
+        if (!this.secure && !this.config.ignoreTls && this.extensions.has('STARTTLS')) {
+            await this._startTls();
+        }
+        if (!this.secure && this.config.requireTls) {
+            throw new SmtpError(`SMTP server ${host} does not offer STARTTLS.`, { command: 'STARTTLS' });
+        }
+        if (this.config.auth) {
+            await this._authenticate();
+        }
+    }
+
+    /**
+     * Sends one message.
+     * @param {string} from - Envelope sender address.
+     * @param {Array<string>} recipients - Envelope recipient addresses.
+     * @param {string} raw - The MIME message.
+     * @returns {Promise<{accepted: Array<string>, rejected: Array<Object>, response: string}>}
+     * Recipients the server refused are listed in `rejected` as long as at least one was accepted.
+     */
+    async deliver(from, recipients, raw) {
+        const size = this.extensions.has('SIZE') ? ` SIZE=${Buffer.byteLength(raw)}` : '';
+        await this._command(`MAIL FROM:<${from}>${size}`, [250], 'envelope', 'MAIL FROM');
+
+        const accepted = [];
+        const rejected = [];
+        for (const address of recipients) {
+            this._write(`RCPT TO:<${address}>`);
+            const reply = await this._read();
+            if (reply.code === 250 || reply.code === 251) {
+                accepted.push(address);
+            } else {
+                rejected.push({ address, error: this._replyError(`RCPT TO:<${address}>`, reply, 'envelope') });
+            }
+        }
+        if (accepted.length === 0) {
+            // One temporary refusal is enough for the email as a whole to be worth retrying
+            throw (rejected.find(entry => entry.error.retryable) || rejected[0]).error;
+        }
+
+        await this._command('DATA', [354], 'data');
+        this.socket.write(dotStuff(raw));
+        const reply = await this._read();
+        this._expect(reply, [250], 'DATA', 'data');
+        this.messagesSent++;
+        return {
+            accepted,
+            rejected: rejected.map(({ address, error }) => ({ address, responseCode: error.responseCode, response: error.response })),
+            response: `${reply.code} ${reply.text}`
+        };
+    }
+
+    /**
+     * Checks that the session still answers.
+     * @returns {Promise<void>}
+     */
+    async noop() {
+        await this._command('NOOP', [250], 'connect');
+    }
+
+    /**
+     * Ends the session politely, without waiting for the server's reply.
+     */
+    quit() {
+        if (this.closed) return;
+        this.socket.end(`QUIT${CRLF}`);
+        this._fail(new SmtpError('SMTP connection was closed.'));
+    }
+
+    /**
+     * Drops the connection at once, e.g. when the send is aborted. A pending read rejects with `error`.
+     * @param {Error} error
+     */
+    destroy(error) {
+        this._fail(error);
+        if (this.socket) this.socket.destroy();
+    }
+
+    /**
+     * @private
+     */
+    async _ehlo() {
+        this._write(`EHLO ${this.config.clientName}`);
+        const reply = await this._read();
+        if (reply.code >= 500) {
+            // A server without ESMTP only knows HELO, and has no extensions
+            await this._command(`HELO ${this.config.clientName}`, [250], 'connect', 'HELO');
+            this.extensions = new Map();
+            return;
+        }
+        this._expect(reply, [250], 'EHLO', 'connect');
+        this.extensions = new Map(reply.lines.slice(1).map(line => {
+            const [keyword, ...params] = line.split(' ');
+            return [keyword.toUpperCase(), params.join(' ')];
+        }));
+    }
+
+    /**
+     * @private
+     */
+    async _startTls() {
+        const { host, tls: tlsOptions } = this.config;
+        await this._command('STARTTLS', [220], 'connect');
+        if (this.buffer !== '' || this.replyLines.length > 0 || this.replies.length > 0) {
+            // Plaintext sent after the 220 would otherwise be read as if it came over TLS
+            throw new SmtpError(`SMTP server ${host} sent data after its STARTTLS reply.`, { command: 'STARTTLS' });
+        }
+        const plain = this.socket;
+        this._detach();
+        plain.on('error', () => {}); // Errors surface on the TLS socket from here on
+        await new Promise((resolve, reject) => {
+            const socket = tls.connect({ socket: plain, host, servername: net.isIP(host) ? undefined : host, ...tlsOptions }, resolve);
+            socket.once('error', reject);
+            this._attach(socket);
+        });
+        this.secure = true;
+        await this._ehlo(); // The extensions may differ once the session is encrypted
+    }
+
+    /**
+     * @private
+     */
+    async _authenticate() {
+        const { user, pass } = this.config.auth;
+        const offered = (this.extensions.get('AUTH') || '').toUpperCase().split(/\s+/).filter(Boolean);
+        const method = this.config.authMethod || ['PLAIN', 'LOGIN'].find(candidate => offered.includes(candidate));
+        if (!method) {
+            throw new SmtpError(`SMTP server ${this.config.host} offers no supported AUTH mechanism (${offered.join(' ') || 'none'}).`, { command: 'AUTH' });
+        }
+        const base64 = value => Buffer.from(value, 'utf8').toString('base64');
+        if (method === 'PLAIN') {
+            await this._command(`AUTH PLAIN ${base64(`\u0000${user}\u0000${pass}`)}`, [235], 'connect', 'AUTH PLAIN');
+        } else {
+            await this._command('AUTH LOGIN', [334], 'connect', 'AUTH LOGIN');
+            await this._command(base64(user), [334], 'connect', 'AUTH LOGIN');
+            await this._command(base64(pass), [235], 'connect', 'AUTH LOGIN');
+        }
+    }
+
+    /**
+     * Sends a command and checks the reply code.
+     * @param {string} line - The command line.
+     * @param {Array<number>} expected - Reply codes that mean success.
+     * @param {'connect' | 'envelope' | 'data'} phase - Where in the session the command is.
+     * @param {string} [label] - Name used in errors, so credentials never end up in them.
+     * @returns {Promise<Object>} The reply.
+     * @private
+     */
+    async _command(line, expected, phase, label = line.split(' ')[0]) {
+        this._write(line);
+        const reply = await this._read();
+        this._expect(reply, expected, label, phase);
+        return reply;
+    }
+
+    /**
+     * @private
+     */
+    _expect(reply, expected, label, phase) {
+        if (!expected.includes(reply.code)) {
+            throw this._replyError(label, reply, phase);
+        }
+    }
+
+    /**
+     * @returns {SmtpError}
+     * @private
+     */
+    _replyError(label, reply, phase) {
+        return new SmtpError(`SMTP ${label} failed: ${reply.code} ${reply.text}`, {
+            responseCode: reply.code,
+            response: reply.text,
+            command: label,
+            retryable: reply.code < 500 || phase === 'connect'
+        });
+    }
+
+    /**
+     * @private
+     */
+    _write(line) {
+        if (this.closed) throw this.error;
+        this.socket.write(`${line}${CRLF}`);
+    }
+
+    /**
+     * @returns {Promise<{code: number, lines: Array<string>, text: string}>} The next complete reply.
+     * @private
+     */
+    _read() {
+        if (this.replies.length > 0) return Promise.resolve(this.replies.shift());
+        if (this.closed) return Promise.reject(this.error);
+        return new Promise((resolve, reject) => {
+            this.waiter = { resolve, reject };
+        });
+    }
+
+    /**
+     * Splits incoming data into replies; `250-` lines continue a reply, `250 ` ends it.
+     * @private
+     */
+    _onData(chunk) {
+        this.buffer += this.decoder.write(chunk);
+        let index;
+        while ((index = this.buffer.indexOf('\n')) !== -1) {
+            const line = this.buffer.slice(0, index).replace(/\r$/, '');
+            this.buffer = this.buffer.slice(index + 1);
+            this.replyLines.push(line);
+            if (line[3] === '-') continue;
+
+            const lines = this.replyLines.map(replyLine => replyLine.slice(4));
+            const reply = { code: parseInt(line.slice(0, 3), 10) || 0, lines, text: lines.join(' ') };
+            this.replyLines = [];
+            if (this.waiter) {
+                const { resolve } = this.waiter;
+                this.waiter = null;
+                resolve(reply);
+            } else {
+                this.replies.push(reply);
+            }
+        }
+    }
+
+    /**
+     * @private
+     */
+    _fail(error) {
+        if (this.closed) return;
+        this.closed = true;
+        this.error = error;
+        if (this.idleTimer !== null) clearTimeout(this.idleTimer);
+        if (this.waiter) {
+            const { reject } = this.waiter;
+            this.waiter = null;
+            reject(error);
+        }
+    }
+
+    /**
+     * @private
+     */
+    _attach(socket) {
+        const { socketTimeoutMs } = this.config;
+        this.listeners = {
+            data: chunk => this._onData(chunk),
+            error: error => this._fail(error),
+            close: () => this._fail(new SmtpError('SMTP connection closed unexpectedly.', { code: 'ECONNRESET' })),
+            timeout: () => this.destroy(new SmtpError(`SMTP server did not respond within ${socketTimeoutMs}ms.`, { code: 'ETIMEDOUT' }))
+        };
+        for (const [event, listener] of Object.entries(this.listeners)) {
+            socket.on(event, listener);
+        }
+        socket.setTimeout(socketTimeoutMs);
+        this.socket = socket;
+        this.decoder = new StringDecoder('utf8');
+    }
+
+    /**
+     * @private
+     */
+    _detach() {
+        for (const [event, listener] of Object.entries(this.listeners)) {
+            this.socket.removeListener(event, listener);
+        }
+        this.socket.setTimeout(0);
+    }
+}
+
+/**
+ * Email provider that delivers over SMTP, with a pool of reusable connections.
+ * Register an instance in the EmailService provider list. Call close() on shutdown.
+ */
+class SmtpProvider {
+    /**
+     * @param {Object} config
+     * @param {string} [config.name='smtp'] - Provider name.
+     * @param {string} [config.host='localhost'] - SMTP server.
+     * @param {number} [config.port] - 465 with `secure`, otherwise 587.
+     * @param {boolean} [config.secure=false] - Use TLS from the start (port 465) instead of STARTTLS.
+     * @param {boolean} [config.requireTls=false] - Fail if the session cannot be upgraded with STARTTLS.
+     * @param {boolean} [config.ignoreTls=false] - Never use STARTTLS, even when offered.
+     * @param {Object} [config.tls] - Extra options for tls.connect, e.g. `{ ca }` or `{ rejectUnauthorized: false }`.
+     * @param {{user: string, pass: string}} [config.auth] - Credentials for AUTH.
+     * @param {'PLAIN' | 'LOGIN'} [config.authMethod] - AUTH mechanism. By default PLAIN, or LOGIN if only that is offered.
+     * @param {string | Object} [config.from] - Sender used when a message has no `from`.
+     * @param {string} [config.clientName=os.hostname()] - Name sent with EHLO.
+     * @param {Object} [config.pool] - `{ maxConnections, maxMessagesPerConnection, idleTimeoutMs }`, by default 5, 100 and 30 seconds.
+     * @param {number} [config.socketTimeoutMs=60000] - How long the server may stay silent before the connection is dropped.
+     * @param {Object} [config.capabilities] - Overrides of the declared capabilities.
+     * @param {Object} [config.options] - Per-provider overrides of the service options (see providers.js).
+     */
+    constructor(config = {}) {
+        if (config.authMethod !== undefined && !['PLAIN', 'LOGIN'].includes(config.authMethod)) {
+            throw new Error(`Unknown SMTP authMethod ${config.authMethod}; use 'PLAIN' or 'LOGIN'.`);
+        }
+        this.name = config.name || 'smtp';
+        this.from = config.from ? parseAddress(config.from) : null;
+        this.connectionConfig = {
+            host: config.host || 'localhost',
+            port: config.port || (config.secure ? 465 : 587),
+            secure: Boolean(config.secure),
+            requireTls: Boolean(config.requireTls),
+            ignoreTls: Boolean(config.ignoreTls),
+            tls: config.tls || {},
+            auth: config.auth || null,
+            authMethod: config.authMethod,
+            clientName: config.clientName || os.hostname(),
+            socketTimeoutMs: config.socketTimeoutMs || 60 * 1000
+        };
+        this.pool = { maxConnections: 5, maxMessagesPerConnection: 100, idleTimeoutMs: 30 * 1000, ...config.pool };
+        this.capabilities = { attachments: true, html: true, ...config.capabilities };
+        this.options = config.options || {};
+
+        /** @type {Array<SmtpConnection>} */
+        this.idle = [];
+        this.openCount = 0; // Connections open or opening, idle or busy
+        /** @type {Array<{resolve: Function, reject: Function, signal: AbortSignal, cleanup: Function}>} */
+        this.waiters = []; // Sends waiting for a connection while the pool is full
+        this.closed = false;
+    }
+
+    /**
+     * Sends an EmailMessage (see message.js). Resolves with `{ messageId, accepted, rejected, response }`.
+     * Aborting the signal drops the connection the message is on.
+     * @param {Object} message - The validated EmailMessage.
+     * @param {Object} [context] - `{ signal }` from the service.
+     * @returns {Promise<Object>}
+     */
+    async send(message, { signal } = {}) {
+        const from = message.from || this.from;
+        if (!from) {
+            throw new SmtpError(`Provider ${this.name} has no from address for email ${message.emailId}.`);
+        }
+        const raw = buildMimeMessage({ ...message, from });
+        const messageId = (raw.match(/^Message-ID: <([^>]+)>/m) || [])[1] || null;
+        const recipients = [...new Set([...message.to, ...message.cc, ...message.bcc].map(recipient => recipient.address))];
+
+        const connection = await this._acquire(signal);
+        const onAbort = () => connection.destroy(signal.reason);
+        if (signal) signal.addEventListener('abort', onAbort, { once: true });
+        let reusable = false;
+        try {
+            const result = await connection.deliver(from.address, recipients, raw);
+            reusable = true;
+            return { messageId, ...result };
+        } finally {
+            if (signal) signal.removeEventListener('abort', onAbort);
+            this._release(connection, reusable);
+        }
+    }
+
+    /**
+     * Opens (or reuses) a connection and sends NOOP, so the check covers TLS and authentication.
+     * @param {Object} [context] - `{ signal }` from the service.
+     * @returns {Promise<void>}
+     */
+    async healthCheck({ signal } = {}) {
+        const connection = await this._acquire(signal);
+        const onAbort = () => connection.destroy(signal.reason);
+        if (signal) signal.addEventListener('abort', onAbort, { once: true });
+        let reusable = false;
+        try {
+            await connection.noop();
+            reusable = true;
+        } finally {
+            if (signal) signal.removeEventListener('abort', onAbort);
+            this._release(connection, reusable);
+        }
+    }
+
+    /**
+     * Closes idle connections and rejects sends waiting for one. Busy connections close once their message is done.
+     */
+    close() {
+        this.closed = true;
+        for (const connection of this.idle.splice(0, this.idle.length)) {
+            this.openCount--;
+            connection.quit();
+        }
+        for (const waiter of this.waiters.splice(0, this.waiters.length)) {
+            waiter.cleanup();
+            waiter.reject(new SmtpError(`Provider ${this.name} was closed.`));
+        }
+    }
+
+    /**
+     * Takes an idle connection, opens a new one while under maxConnections, or waits for one.
+     * @param {AbortSignal} [signal]
+     * @returns {Promise<SmtpConnection>}
+     * @private
+     */
+    async _acquire(signal) {
+        if (signal && signal.aborted) throw signal.reason;
+        if (this.closed) throw new SmtpError(`Provider ${this.name} was closed.`);
+        while (this.idle.length > 0) {
+            const connection = this.idle.pop();
+            clearTimeout(connection.idleTimer);
+            connection.idleTimer = null;
+            if (!connection.closed) return connection;
+            this.openCount--; // The server hung up while it was idle
+        }
+
+        if (this.openCount < this.pool.maxConnections) {
+            this.openCount++;
+            const connection = new SmtpConnection(this.connectionConfig);
+            const onAbort = () => connection.destroy(signal.reason);
+            if (signal) signal.addEventListener('abort', onAbort, { once: true });
+            try {
+                await connection.open();
+                return connection;
+            } catch (error) {
+                this._discard(connection);
+                throw error;
+            } finally {
+                if (signal) signal.removeEventListener('abort', onAbort);
+            }
+        }
+
+        return new Promise((resolve, reject) => {
+            const onAbort = () => {
+                this.waiters.splice(this.waiters.indexOf(waiter), 1);
+                reject(signal.reason);
+            };
+            const waiter = {
+                resolve,
+                reject,
+                signal,
+                cleanup: () => {
+                    if (signal) signal.removeEventListener('abort', onAbort);
+                }
+            };
+            if (signal) signal.addEventListener('abort', onAbort, { once: true });
+            this.waiters.push(waiter);
+        });
+    }
+
+    /**
+     * Returns a connection to the pool, or closes it when it failed or has sent its share of messages.
+     * @param {SmtpConnection} connection
+     * @param {boolean} reusable - False after an error, when the session state is unknown.
+     * @private
+     */
+    _release(connection, reusable) {
+        if (!reusable || connection.closed || this.closed || connection.messagesSent >= this.pool.maxMessagesPerConnection) {
+            this._discard(connection);
+            return;
+        }
+        const waiter = this.waiters.shift();
+        if (waiter) {
+            waiter.cleanup();
+            waiter.resolve(connection);
+            return;
+        }
+        connection.idleTimer = setTimeout(() => {
+            this.idle.splice(this.idle.indexOf(connection), 1);
+            this._discard(connection);
+        }, this.pool.idleTimeoutMs);
+        connection.idleTimer.unref(); // An idle connection never keeps the process alive
+        this.idle.push(connection);
+    }
+
+    /**
+     * Closes a connection and lets the next waiting send open a new one in its place.
+     * @param {SmtpConnection} connection
+     * @private
+     */
+    _discard(connection) {
+        connection.quit();
+        this.openCount--;
+        const waiter = this.waiters.shift();
+        if (waiter) {
+            waiter.cleanup();
+            this._acquire(waiter.signal).then(waiter.resolve, waiter.reject);
+        }
+    }
+}
+
+module.exports = {
+    SmtpProvider,
+    SmtpError
+};
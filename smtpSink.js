@@ -0,0 +1,416 @@
+//smtpSink.js
+
+const net = require('net');
+const tls = require('tls');
+const { StringDecoder } = require('string_decoder');
+const { EventEmitter } = require('events');
+
+const CRLF = '\r\n';
+
+/**
+ * A message the sink accepted.
+ * @typedef {Object} SinkMessage
+ * @property {string} id - Queue ID given in the final 250 reply.
+ * @property {string} from - Envelope sender.
+ * @property {Array<string>} to - Envelope recipients, Bcc included.
+ * @property {string} data - The message as received, dot-unstuffed, with CRLF line endings.
+ * @property {Object<string, string>} headers - Top-level headers, by lower-case name.
+ * @property {string | null} user - The authenticated user, if any.
+ * @property {boolean} secure - Whether the session was encrypted.
+ * @property {number} receivedAt - When the message was accepted.
+ */
+
+/**
+ * Parses the header block of a message, unfolding continuation lines.
+ * @param {string} data - The message.
+ * @returns {Object<string, string>}
+ */
+function parseHeaders(data) {
+    const end = data.indexOf(`${CRLF}${CRLF}`);
+    const block = (end === -1 ? data : data.slice(0, end)).replace(/\r\n[ \t]+/g, ' ');
+    const headers = {};
+    for (const line of block.split(CRLF)) {
+        const colon = line.indexOf(':');
+        if (colon > 0) headers[line.slice(0, colon).trim().toLowerCase()] = line.slice(colon + 1).trim();
+    }
+    return headers;
+}
+
+/**
+ * A small in-process SMTP server that accepts mail and keeps it in memory, for tests and local
+ * development. It speaks EHLO/HELO, STARTTLS (when given a key and certificate), AUTH PLAIN and
+ * LOGIN (when given users), MAIL, RCPT, DATA, RSET, NOOP and QUIT. Nothing is relayed anywhere.
+ *
+ * Emits `message` with a SinkMessage for every accepted message.
+ */
+class SmtpSinkServer extends EventEmitter {
+    /**
+     * @param {Object} [options]
+     * @param {string} [options.hostname='localhost'] - Name used in the greeting and EHLO reply.
+     * @param {{key: string, cert: string}} [options.tls] - Key and certificate; STARTTLS is offered when set.
+     * @param {Object<string, string>} [options.users] - Passwords by user name. When set, AUTH is offered and required before MAIL.
+     * @param {number} [options.maxMessageBytes=26214400] - Advertised as SIZE; a bigger message is refused with 552.
+     * @param {function(Object): (string | undefined)} [options.onCommand] - Called with `{ verb, argument, session }` for every
+     * command, and with verb `.` at the end of the message data. Returning a reply line such as `'450 4.2.1 Try later'` sends
+     * that instead of the normal reply and skips the command. A `421` reply also closes the connection.
+     */
+    constructor(options = {}) {
+        super();
+        this.hostname = options.hostname || 'localhost';
+        this.tls = options.tls || null;
+        this.users = options.users || null;
+        this.maxMessageBytes = options.maxMessageBytes || 25 * 1024 * 1024;
+        this.onCommand = options.onCommand || null;
+        /** @type {Array<SinkMessage>} */
+        this.messages = [];
+        this.connections = 0; // Sessions opened so far
+        this.sockets = new Set();
+        this.nextId = 1;
+        this.server = net.createServer(socket => this._handle(socket));
+    }
+
+    /**
+     * Starts listening.
+     * @param {number} [port=0] - 0 picks a free port.
+     * @param {string} [host='127.0.0.1']
+     * @returns {Promise<number>} The port.
+     */
+    listen(port = 0, host = '127.0.0.1') {
+        return new Promise((resolve, reject) => {
+            this.server.once('error', reject);
+            this.server.listen(port, host, () => {
+                this.server.removeListener('error', reject);
+                resolve(this.port);
+            });
+        });
+    }
+
+    /**
+     * @returns {number | null} The port while listening.
+     */
+    get port() {
+        const address = this.server.address();
+        return address ? address.port : null;
+    }
+
+    /**
+     * Forgets the messages received so far.
+     */
+    clear() {
+        this.messages = [];
+    }
+
+    /**
+     * Stops listening and drops every open session.
+     * @returns {Promise<void>}
+     */
+    close() {
+        for (const socket of this.sockets) {
+            socket.destroy();
+        }
+        return new Promise(resolve => this.server.close(() => resolve()));
+    }
+
+    /**
+     * Runs one SMTP session.
+     * @param {net.Socket} socket
+     * @private
+     */
+    _handle(socket) {
+        this.connections++;
+        this.sockets.add(socket);
+        socket.on('close', () => this.sockets.delete(socket));
+        socket.on('error', () => {}); // A client hanging up is not the sink's problem
+
+        const session = {
+            id: this.connections,
+            remoteAddress: socket.remoteAddress,
+            secure: false,
+            greeted: false,
+            user: null,
+            from: null,
+            recipients: [],
+            mode: 'command', // command | data | auth-plain | auth-login-user | auth-login-pass
+            data: [],
+            dataBytes: 0,
+            lineCut: false, // Part of the current DATA line was dropped
+            loginUser: null
+        };
+        let current = socket;
+        let decoder = new StringDecoder('utf8'); // Keeps a character split across chunks whole
+        let buffer = '';
+        const write = line => current.write(`${line}${CRLF}`);
+
+        const onData = chunk => {
+            buffer += decoder.write(chunk);
+            let index;
+            while ((index = buffer.indexOf('\n')) !== -1) {
+                const line = buffer.slice(0, index).replace(/\r$/, '');
+                buffer = buffer.slice(index + 1);
+                if (this._line(session, line, write) === 'starttls') {
+                    current.removeListener('data', onData);
+                    current = new tls.TLSSocket(socket, { isServer: true, key: this.tls.key, cert: this.tls.cert });
+                    current.on('error', () => socket.destroy());
+                    current.on('data', onData);
+                    decoder = new StringDecoder('utf8');
+                    buffer = '';
+                    Object.assign(session, { secure: true, greeted: false, user: null, from: null, recipients: [] });
+                    return;
+                }
+                if (session.mode === 'closed') {
+                    current.end();
+                    return;
+                }
+            }
+            if (session.mode === 'data' && buffer.length > this.maxMessageBytes) {
+                // A line this long can only be refused, so only its size is kept
+                this._addData(session, buffer, 0);
+                session.lineCut = true;
+                buffer = '';
+            }
+        };
+        socket.on('data', onData);
+        write(`220 ${this.hostname} ESMTP sink ready`);
+    }
+
+    /**
+     * Handles one line of a session.
+     * @returns {string | undefined} `starttls` when the connection must be upgraded now.
+     * @private
+     */
+    _line(session, line, write) {
+        if (session.mode === 'data') {
+            if (line === '.' && !session.lineCut) {
+                session.mode = 'command';
+                return this._endData(session, write);
+            }
+            this._addData(session, line.startsWith('.') && !session.lineCut ? line.slice(1) : line, 2);
+            session.lineCut = false;
+            return undefined;
+        }
+        if (session.mode.startsWith('auth-')) {
+            return this._authStep(session, line, write);
+        }
+
+        const space = line.indexOf(' ');
+        const verb = (space === -1 ? line : line.slice(0, space)).toUpperCase();
+        const argument = space === -1 ? '' : line.slice(space + 1).trim();
+        if (this._override({ verb, argument, session }, write)) return undefined;
+
+        switch (verb) {
+            case 'EHLO': {
+                session.greeted = true;
+                this._resetTransaction(session);
+                const lines = [`${this.hostname} greets ${argument || 'client'}`, '8BITMIME', `SIZE ${this.maxMessageBytes}`];
+                if (this.tls && !session.secure) lines.push('STARTTLS');
+                if (this.users) lines.push('AUTH PLAIN LOGIN');
+                lines.forEach((text, index) => write(`250${index === lines.length - 1 ? ' ' : '-'}${text}`));
+                return undefined;
+            }
+            case 'HELO':
+                session.greeted = true;
+                this._resetTransaction(session);
+                write(`250 ${this.hostname}`);
+                return undefined;
+            case 'STARTTLS':
+                if (!this.tls || session.secure) {
+                    write('502 5.5.1 STARTTLS not available');
+                    return undefined;
+                }
+                write('220 2.0.0 Ready to start TLS');
+                return 'starttls';
+            case 'AUTH':
+                return this._auth(session, argument, write);
+            case 'MAIL': {
+                const match = /^FROM:\s*<([^>]*)>(.*)$/i.exec(argument);
+                const size = match && /\bSIZE=(\d+)/i.exec(match[2]);
+                if (!session.greeted) write('503 5.5.1 Send EHLO first');
+                else if (this.users && !session.user) write('530 5.7.0 Authentication required');
+                else if (session.from !== null) write('503 5.5.1 Nested MAIL command');
+                else if (!match) write('501 5.5.4 Syntax: MAIL FROM:<address>');
+                else if (size && Number(size[1]) > this.maxMessageBytes) write('552 5.3.4 Message size exceeds fixed limit');
+                else {
+                    session.from = match[1];
+                    write('250 2.1.0 Ok');
+                }
+                return undefined;
+            }
+            case 'RCPT': {
+                const match = /^TO:\s*<([^>]+)>/i.exec(argument);
+                if (session.from === null) write('503 5.5.1 Need MAIL command');
+                else if (!match) write('501 5.5.4 Syntax: RCPT TO:<address>');
+                else {
+                    session.recipients.push(match[1]);
+                    write('250 2.1.5 Ok');
+                }
+                return undefined;
+            }
+            case 'DATA':
+                if (session.recipients.length === 0) {
+                    write('503 5.5.1 Need RCPT command');
+                    return undefined;
+                }
+                session.mode = 'data';
+                session.data = [];
+                session.dataBytes = 0;
+                session.lineCut = false;
+                write('354 End data with <CR><LF>.<CR><LF>');
+                return undefined;
+            case 'RSET':
+                this._resetTransaction(session);
+                write('250 2.0.0 Ok');
+                return undefined;
+            case 'NOOP':
+                write('250 2.0.0 Ok');
+                return undefined;
+            case 'QUIT':
+                write('221 2.0.0 Bye');
+                session.mode = 'closed';
+                return undefined;
+            default:
+                write('502 5.5.2 Command not recognized');
+                return undefined;
+        }
+    }
+
+    /**
+     * Adds received message data, keeping only its size once the message is too big.
+     * @param {Object} session
+     * @param {string} text - Dot-unstuffed data.
+     * @param {number} lineEnd - Bytes of the line ending that came with it.
+     * @private
+     */
+    _addData(session, text, lineEnd) {
+        session.dataBytes += Buffer.byteLength(text) + lineEnd;
+        if (session.dataBytes > this.maxMessageBytes) {
+            session.data = [];
+        } else {
+            session.data.push(text);
+        }
+    }
+
+    /**
+     * Finishes DATA: stores the message, or refuses it.
+     * @private
+     */
+    _endData(session, write) {
+        if (this._override({ verb: '.', argument: '', session }, write)) {
+            this._resetTransaction(session);
+            return undefined;
+        }
+        if (session.dataBytes > this.maxMessageBytes) {
+            write('552 5.3.4 Message size exceeds fixed limit');
+            this._resetTransaction(session);
+            return undefined;
+        }
+        const data = session.data.join(CRLF);
+        /** @type {SinkMessage} */
+        const message = {
+            id: `sink-${this.nextId++}`,
+            from: session.from,
+            to: session.recipients,
+            data,
+            headers: parseHeaders(data),
+            user: session.user,
+            secure: session.secure,
+            receivedAt: Date.now()
+        };
+        this.messages.push(message);
+        this._resetTransaction(session);
+        write(`250 2.0.0 Ok: queued as ${message.id}`);
+        this.emit('message', message);
+        return undefined;
+    }
+
+    /**
+     * Starts AUTH PLAIN or LOGIN.
+     * @private
+     */
+    _auth(session, argument, write) {
+        const [mechanism, initial] = argument.split(/\s+/);
+        if (!this.users) write('502 5.5.1 AUTH not available');
+        else if (session.user) write('503 5.5.1 Already authenticated');
+        else if (mechanism.toUpperCase() === 'PLAIN') {
+            if (initial) return this._checkPlain(session, initial, write);
+            session.mode = 'auth-plain';
+            write('334 ');
+        } else if (mechanism.toUpperCase() === 'LOGIN') {
+            session.mode = 'auth-login-user';
+            write(`334 ${Buffer.from('Username:').toString('base64')}`);
+        } else {
+            write('504 5.5.4 Unrecognized authentication type');
+        }
+        return undefined;
+    }
+
+    /**
+     * Handles a line sent in reply to a 334 challenge.
+     * @private
+     */
+    _authStep(session, line, write) {
+        if (line === '*') {
+            session.mode = 'command';
+            write('501 5.0.0 Authentication cancelled');
+        } else if (session.mode === 'auth-plain') {
+            session.mode = 'command';
+            this._checkPlain(session, line, write);
+        } else if (session.mode === 'auth-login-user') {
+            session.loginUser = Buffer.from(line, 'base64').toString('utf8');
+            session.mode = 'auth-login-pass';
+            write(`334 ${Buffer.from('Password:').toString('base64')}`);
+        } else {
+            session.mode = 'command';
+            this._checkCredentials(session, session.loginUser, Buffer.from(line, 'base64').toString('utf8'), write);
+        }
+        return undefined;
+    }
+
+    /**
+     * @private
+     */
+    _checkPlain(session, encoded, write) {
+        const [, user, pass] = Buffer.from(encoded, 'base64').toString('utf8').split('\u0000');
+        this._checkCredentials(session, user, pass, write);
+        return undefined;
+    }
+
+    /**
+     * @private
+     */
+    _checkCredentials(session, user, pass, write) {
+        if (user !== undefined && Object.prototype.hasOwnProperty.call(this.users, user) && this.users[user] === pass) {
+            session.user = user;
+            write('235 2.7.0 Authentication successful');
+        } else {
+            write('535 5.7.8 Authentication credentials invalid');
+        }
+    }
+
+    /**
+     * Lets `onCommand` answer instead of the sink.
+     * @returns {boolean} True if it did.
+     * @private
+     */
+    _override(command, write) {
+        const reply = this.onCommand && this.onCommand(command);
+        if (!reply) return false;
+        write(reply);
+        if (reply.startsWith('421')) command.session.mode = 'closed';
+        return true;
+    }
+
+    /**
+     * @private
+     */
+    _resetTransaction(session) {
+        session.from = null;
+        session.recipients = [];
+        session.data = [];
+        session.dataBytes = 0;
+        session.lineCut = false;
+    }
+}
+
+module.exports = {
+    SmtpSinkServer
+};
@@ -0,0 +1,344 @@
+//stores.js
+
+const fs = require('fs');
+const path = require('path');
+
+const LOCK_RETRY_MS = 5;
+const lockWaiter = new Int32Array(new SharedArrayBuffer(4));
+
+/**
+ * Storage adapter contract used by EmailService to keep idempotency keys and
+ * email statuses. Values are grouped by namespace (e.g. 'idempotency', 'status')
+ * and must be JSON-serializable so that persistent adapters can write them out.
+ * @typedef {Object} StorageAdapter
+ * @property {function(string, string): *} get - Returns the value for a key, or undefined.
+ * @property {function(string, string): boolean} has - True if the key exists.
+ * @property {function(string, string, *): void} set - Stores a value for a key.
+ * @property {function(string, string, *, *): boolean} compareAndSet - Stores a value only if the key currently
+ * holds `expected` (undefined meaning absent), as one atomic step. Returns true if it stored the value.
+ * @property {function(string, string, *): boolean} setIfAbsent - Stores a value only if the key is absent.
+ * @property {function(string, string): void} delete - Removes a key.
+ * @property {function(string): Array<Array>} entries - Returns all [key, value] pairs of a namespace.
+ * @property {function(string): void} clear - Removes every key of a namespace.
+ */
+
+/**
+ * In-memory storage adapter. This is the default and matches the original
+ * behaviour of the service: everything is forgotten when the process exits.
+ */
+class MemoryStore {
+    constructor() {
+        /** @type {Map<string, Map<string, *>>} */
+        this.namespaces = new Map();
+    }
+
+    /**
+     * Returns the Map backing a namespace, creating it on first use.
+     * @param {string} namespace
+     * @returns {Map<string, *>}
+     * @private
+     */
+    _namespace(namespace) {
+        let map = this.namespaces.get(namespace);
+        if (!map) {
+            map = new Map();
+            this.namespaces.set(namespace, map);
+        }
+        return map;
+    }
+
+    get(namespace, key) {
+        return this._namespace(namespace).get(key);
+    }
+
+    has(namespace, key) {
+        return this._namespace(namespace).has(key);
+    }
+
+    set(namespace, key, value) {
+        this._namespace(namespace).set(key, value);
+    }
+
+    compareAndSet(namespace, key, expected, value) {
+        if (!sameValue(this.get(namespace, key), expected)) return false;
+        this.set(namespace, key, value);
+        return true;
+    }
+
+    setIfAbsent(namespace, key, value) {
+        return this.compareAndSet(namespace, key, undefined, value);
+    }
+
+    delete(namespace, key) {
+        this._namespace(namespace).delete(key);
+    }
+
+    entries(namespace) {
+        return Array.from(this._namespace(namespace).entries());
+    }
+
+    clear(namespace) {
+        this._namespace(namespace).clear();
+    }
+}
+
+/**
+ * File-backed storage adapter.
+ * Every change is appended to a JSON-lines log, and the log is replayed into
+ * memory on startup, so state survives restarts. Before each read the adapter
+ * picks up lines appended by other processes, which lets several workers on
+ * one host share the same file. Writes, compare-and-set and compaction hold a
+ * lock file (`<filePath>.lock`, created with O_EXCL), so workers never interleave
+ * them. Waiting for the lock is synchronous, like the rest of the adapter, and
+ * blocks the event loop; a lock older than `lockStaleMs` is broken, so the wait
+ * never lasts longer than that. Once the log grows past `compactionThreshold`
+ * records it is rewritten as a snapshot of the live keys.
+ */
+class FileStore extends MemoryStore {
+    /**
+     * @param {string} filePath - Path of the log file (created if missing).
+     * @param {Object} [options]
+     * @param {number} [options.compactionThreshold=1000] - Records in the log before compaction is attempted. 0 disables automatic compaction.
+     * @param {number} [options.lockStaleMs=2000] - A lock file older than this was left by a crashed worker and is broken.
+     */
+    constructor(filePath, options = {}) {
+        super();
+        this.filePath = path.resolve(filePath);
+        this.compactionThreshold = options.compactionThreshold !== undefined ? options.compactionThreshold : 1000;
+        this.lockPath = `${this.filePath}.lock`;
+        this.lockStaleMs = options.lockStaleMs !== undefined ? options.lockStaleMs : 2 * 1000;
+
+        this.offset = 0; // Bytes of the log already applied
+        this.inode = null; // Detects the file being replaced by another worker's compaction
+        this.recordCount = 0; // Records currently in the log
+
+        fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+        fs.closeSync(fs.openSync(this.filePath, 'a'));
+        this._sync();
+    }
+
+    /**
+     * Applies any records appended to the log since the last read.
+     * @private
+     */
+    _sync() {
+        const stats = fs.statSync(this.filePath);
+        if (stats.ino !== this.inode || stats.size < this.offset) {
+            // First read, or the file was compacted by someone else: rebuild from scratch.
+            this.namespaces.clear();
+            this.offset = 0;
+            this.recordCount = 0;
+            this.inode = stats.ino;
+        }
+        if (stats.size === this.offset) return;
+
+        const fd = fs.openSync(this.filePath, 'r');
+        let chunk;
+        try {
+            chunk = Buffer.alloc(stats.size - this.offset);
+            fs.readSync(fd, chunk, 0, chunk.length, this.offset);
+        } finally {
+            fs.closeSync(fd);
+        }
+
+        // Only consume complete lines; a partial line is another writer mid-append.
+        const end = chunk.lastIndexOf('\n');
+        if (end === -1) return;
+        this.offset += end + 1;
+
+        for (const line of chunk.toString('utf8', 0, end).split('\n')) {
+            if (!line) continue;
+            let record;
+            try {
+                record = JSON.parse(line);
+            } catch (error) {
+                continue; // Torn write from a crash; skip it
+            }
+            this._apply(record);
+            this.recordCount++;
+        }
+    }
+
+    /**
+     * Applies a single log record to the in-memory view.
+     * @param {Object} record
+     * @private
+     */
+    _apply(record) {
+        switch (record.op) {
+            case 'set':
+                super.set(record.ns, record.key, record.value);
+                break;
+            case 'delete':
+                super.delete(record.ns, record.key);
+                break;
+            case 'clear':
+                super.clear(record.ns);
+                break;
+        }
+    }
+
+    /**
+     * Runs `fn` while holding the lock file. Waits for a lock held by another worker.
+     * @param {function(): *} fn
+     * @returns {*} What `fn` returns.
+     * @private
+     */
+    _withLock(fn) {
+        for (;;) {
+            try {
+                fs.closeSync(fs.openSync(this.lockPath, 'wx'));
+                break;
+            } catch (error) {
+                if (error.code !== 'EEXIST') throw error;
+            }
+            let lock;
+            try {
+                lock = fs.statSync(this.lockPath);
+            } catch (error) {
+                continue; // Released in the meantime
+            }
+            if (Date.now() - lock.mtimeMs > this.lockStaleMs) {
+                this._breakLock(lock.ino);
+            } else {
+                Atomics.wait(lockWaiter, 0, 0, LOCK_RETRY_MS);
+            }
+        }
+        try {
+            return fn();
+        } finally {
+            fs.rmSync(this.lockPath, { force: true });
+        }
+    }
+
+    /**
+     * Removes a stale lock file. It is first renamed aside, which only one worker
+     * can do; if what was renamed is not the stale lock but one another worker
+     * has just taken, it is linked back in place.
+     * @param {number} staleInode - Inode of the lock file found to be stale.
+     * @private
+     */
+    _breakLock(staleInode) {
+        const asidePath = `${this.lockPath}.${process.pid}.${Date.now()}.stale`;
+        try {
+            fs.renameSync(this.lockPath, asidePath);
+        } catch (error) {
+            if (error.code === 'ENOENT') return; // Broken or released by someone else
+            throw error;
+        }
+        try {
+            if (fs.statSync(asidePath).ino !== staleInode) {
+                fs.linkSync(asidePath, this.lockPath);
+            }
+        } catch (error) {
+            if (error.code !== 'EEXIST') throw error;
+        } finally {
+            fs.rmSync(asidePath, { force: true });
+        }
+    }
+
+    /**
+     * Appends a record to the log and applies it (along with anything other
+     * workers wrote in the meantime) in file order.
+     * @param {Object} record
+     * @param {function(): boolean} [condition] - Checked against the up-to-date log under the lock; the record is only written if it returns true.
+     * @returns {boolean} True if the record was written.
+     * @private
+     */
+    _append(record, condition = null) {
+        const written = this._withLock(() => {
+            this._sync();
+            if (fs.statSync(this.filePath).size > this.offset) {
+                // Nobody else is appending, so an unfinished last line was cut off by a crash;
+                // drop it so the new record starts on a line of its own
+                fs.truncateSync(this.filePath, this.offset);
+            }
+            if (condition && !condition()) return false;
+            fs.appendFileSync(this.filePath, JSON.stringify(record) + '\n');
+            return true;
+        });
+        this._sync();
+        if (written && this.compactionThreshold > 0 && this.recordCount > this.compactionThreshold &&
+            this.recordCount > 2 * this._liveCount()) {
+            this.compact();
+        }
+        return written;
+    }
+
+    /**
+     * @returns {number} Number of keys currently held across all namespaces.
+     * @private
+     */
+    _liveCount() {
+        let count = 0;
+        for (const map of this.namespaces.values()) count += map.size;
+        return count;
+    }
+
+    /**
+     * Rewrites the log so it only holds the live keys.
+     * The snapshot is taken under the lock, after reading the rest of the log, so no
+     * other worker's write can be missed. It is written aside and renamed into place,
+     * so readers never see a half-written log.
+     */
+    compact() {
+        this._withLock(() => {
+            this._sync();
+            const lines = [];
+            for (const [ns, map] of this.namespaces) {
+                for (const [key, value] of map) {
+                    lines.push(JSON.stringify({ op: 'set', ns, key, value }));
+                }
+            }
+            const tmpPath = `${this.filePath}.${process.pid}.tmp`;
+            fs.writeFileSync(tmpPath, lines.length ? lines.join('\n') + '\n' : '');
+            fs.renameSync(tmpPath, this.filePath);
+        });
+        this.inode = null; // Force a reload from the new file
+        this._sync();
+    }
+
+    get(namespace, key) {
+        this._sync();
+        return super.get(namespace, key);
+    }
+
+    has(namespace, key) {
+        this._sync();
+        return super.has(namespace, key);
+    }
+
+    set(namespace, key, value) {
+        this._append({ op: 'set', ns: namespace, key, value });
+    }
+
+    compareAndSet(namespace, key, expected, value) {
+        return this._append({ op: 'set', ns: namespace, key, value }, () => sameValue(super.get(namespace, key), expected));
+    }
+
+    delete(namespace, key) {
+        this._append({ op: 'delete', ns: namespace, key });
+    }
+
+    entries(namespace) {
+        this._sync();
+        return super.entries(namespace);
+    }
+
+    clear(namespace) {
+        this._append({ op: 'clear', ns: namespace });
+    }
+}
+
+/**
+ * Compares two stored values. They are JSON-serializable, so their JSON is compared.
+ * @returns {boolean}
+ */
+function sameValue(a, b) {
+    return JSON.stringify(a) === JSON.stringify(b);
+}
+
+module.exports = {
+    MemoryStore,
+    FileStore
+};
@@ -0,0 +1,278 @@
+//templates.js
+
+const { ErrorCodes, EmailSendError } = require('C:\\resilient-email-service\\errors');
+
+/*
+ * Template syntax:
+ *   {{ name }} / {{ user.firstName }}  - variable, HTML-escaped in html templates
+ *   {{{ name }}}                       - variable, never escaped
+ *   {{#if flag}} ... {{else}} ... {{/if}}
+ *   {{#each items}} {{ this }} {{ field }} {{ @index }} {{/each}}
+ * A variable that is missing from the data fails rendering. Conditions on missing
+ * values are simply false, so optional sections do not need placeholder data.
+ */
+
+const TAG = /\{\{\{\s*([\w.@]+)\s*\}\}\}|\{\{\s*(#if|#each|\/if|\/each|else)?\s*([\w.@]*)\s*\}\}/g;
+
+const HTML_ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+
+/**
+ * @param {string} value
+ * @returns {string} The value with HTML special characters escaped.
+ */
+function escapeHtml(value) {
+    return value.replace(/[&<>"']/g, char => HTML_ESCAPES[char]);
+}
+
+/**
+ * Parses template source into a tree of nodes.
+ * @param {string} source - Template source.
+ * @param {string} label - Template name and part, used in error messages.
+ * @returns {Array<Object>} The parsed nodes.
+ * @throws {Error} On unbalanced or unknown block tags.
+ */
+function parse(source, label) {
+    const root = [];
+    const stack = []; // Open blocks, each with the node list to resume when it closes
+    let current = root;
+    let lastIndex = 0;
+
+    for (const match of source.matchAll(TAG)) {
+        if (match.index > lastIndex) {
+            current.push({ type: 'text', value: source.slice(lastIndex, match.index) });
+        }
+        lastIndex = match.index + match[0].length;
+
+        const [, rawPath, keyword, path] = match;
+        if (rawPath) {
+            current.push({ type: 'var', path: rawPath, raw: true });
+        } else if (!keyword) {
+            if (!path) throw new Error(`Empty tag in template ${label}.`);
+            current.push({ type: 'var', path, raw: false });
+        } else if (keyword === '#if' || keyword === '#each') {
+            if (!path) throw new Error(`${keyword} needs a variable in template ${label}.`);
+            const node = keyword === '#if'
+                ? { type: 'if', path, then: [], otherwise: [] }
+                : { type: 'each', path, body: [] };
+            current.push(node);
+            stack.push({ node, resume: current });
+            current = node.type === 'if' ? node.then : node.body;
+        } else if (keyword === 'else') {
+            const open = stack[stack.length - 1];
+            if (!open || open.node.type !== 'if' || current === open.node.otherwise) {
+                throw new Error(`Unexpected {{else}} in template ${label}.`);
+            }
+            current = open.node.otherwise;
+        } else {
+            const open = stack.pop();
+            if (!open || open.node.type !== keyword.slice(1)) {
+                throw new Error(`Unexpected {{${keyword}}} in template ${label}.`);
+            }
+            current = open.resume;
+        }
+    }
+
+    if (stack.length > 0) {
+        throw new Error(`Unclosed {{#${stack[stack.length - 1].node.type}}} in template ${label}.`);
+    }
+    if (lastIndex < source.length) {
+        current.push({ type: 'text', value: source.slice(lastIndex) });
+    }
+    return root;
+}
+
+/**
+ * Resolves a variable path against the scope chain (innermost scope first).
+ * @param {string} path - e.g. 'user.name', 'this', '@index'.
+ * @param {Array<Object>} scopes - Scope chain; each entry is `{ value, index }`.
+ * @returns {*} The value, or undefined if it is missing.
+ */
+function lookup(path, scopes) {
+    const scope = scopes[scopes.length - 1];
+    if (path === 'this') return scope.value;
+    if (path === '@index') return scope.index;
+
+    const [head, ...rest] = path.replace(/^this\./, '').split('.');
+    for (let i = scopes.length - 1; i >= 0; i--) {
+        const value = scopes[i].value;
+        if (value !== null && typeof value === 'object' && head in value) {
+            return rest.reduce((current, key) => (current === null || current === undefined ? undefined : current[key]), value[head]);
+        }
+    }
+    return undefined;
+}
+
+/**
+ * Renders parsed nodes.
+ * @param {Array<Object>} nodes
+ * @param {Array<Object>} scopes - Scope chain.
+ * @param {{ escape: boolean, missing: Set<string> }} context - Escaping mode and collector for missing variables.
+ * @returns {string}
+ */
+function renderNodes(nodes, scopes, context) {
+    let output = '';
+    for (const node of nodes) {
+        if (node.type === 'text') {
+            output += node.value;
+        } else if (node.type === 'var') {
+            const value = lookup(node.path, scopes);
+            if (value === undefined || value === null) {
+                context.missing.add(node.path);
+                continue;
+            }
+            output += context.escape && !node.raw ? escapeHtml(String(value)) : String(value);
+        } else if (node.type === 'if') {
+            const value = lookup(node.path, scopes);
+            const truthy = Array.isArray(value) ? value.length > 0 : Boolean(value);
+            output += renderNodes(truthy ? node.then : node.otherwise, scopes, context);
+        } else {
+            const items = lookup(node.path, scopes);
+            if (!Array.isArray(items)) {
+                context.missing.add(node.path);
+                continue;
+            }
+            items.forEach((item, index) => {
+                output += renderNodes(node.body, [...scopes, { value: item, index }], context);
+            });
+        }
+    }
+    return output;
+}
+
+/**
+ * Derives a plain-text part from HTML: keeps paragraph and line structure,
+ * turns list items into dashes and links into `text (url)`, and decodes entities.
+ * @param {string} html
+ * @returns {string}
+ */
+function htmlToText(html) {
+    return html
+        .replace(/<(style|script|head)[^>]*>[\s\S]*?<\/\1>/gi, '')
+        .replace(/<a\s[^>]*href="([^"]*)"[^>]*>([\s\S]*?)<\/a>/gi, (match, href, label) => {
+            const text = label.replace(/<[^>]+>/g, '').trim();
+            return text && text !== href ? `${text} (${href})` : href;
+        })
+        .replace(/<br\s*\/?>/gi, '\n')
+        .replace(/<li[^>]*>/gi, '\n- ')
+        .replace(/<\/(p|div|h[1-6]|ul|ol|table|blockquote)>/gi, '\n\n')
+        .replace(/<\/tr>/gi, '\n')
+        .replace(/<[^>]+>/g, '')
+        .replace(/&nbsp;/g, ' ')
+        .replace(/&lt;/g, '<')
+        .replace(/&gt;/g, '>')
+        .replace(/&quot;/g, '"')
+        .replace(/&#(\d+);/g, (match, code) => String.fromCodePoint(Number(code)))
+        .replace(/&amp;/g, '&')
+        .split('\n')
+        .map(line => line.replace(/[ \t]+/g, ' ').trim())
+        .join('\n')
+        .replace(/\n{3,}/g, '\n\n')
+        .trim();
+}
+
+/**
+ * Registry of named, localized email templates.
+ * Templates are parsed when registered, so syntax errors surface at startup
+ * rather than on the first send.
+ */
+class TemplateRegistry {
+    /**
+     * @param {Object} [options]
+     * @param {string} [options.defaultLocale='en'] - Locale used when no better match is registered.
+     */
+    constructor(options = {}) {
+        this.defaultLocale = options.defaultLocale || 'en';
+        /** @type {Map<string, Map<string, Object>>} */
+        this.templates = new Map(); // name -> locale -> compiled template
+    }
+
+    /**
+     * Registers (or replaces) a template variant.
+     * @param {string} name - Template name, e.g. 'password-reset'.
+     * @param {Object} template
+     * @param {string} [template.locale] - Locale of this variant, e.g. 'de' or 'pt-BR'. Defaults to the default locale.
+     * @param {string} template.subject - Subject template.
+     * @param {string} [template.html] - HTML body template (values are escaped).
+     * @param {string} [template.text] - Plain-text body template. Derived from the HTML when omitted.
+     * @returns {TemplateRegistry} The registry, for chaining.
+     */
+    register(name, { locale, subject, html, text }) {
+        if (typeof name !== 'string' || name === '') {
+            throw new Error('Template name is required.');
+        }
+        if (typeof subject !== 'string' || (typeof html !== 'string' && typeof text !== 'string')) {
+            throw new Error(`Template ${name} needs a subject and an html or text body.`);
+        }
+        const variantLocale = locale || this.defaultLocale;
+        const label = `${name} (${variantLocale})`;
+        const compiled = {
+            subject: parse(subject, `${label} subject`),
+            html: typeof html === 'string' ? parse(html, `${label} html`) : null,
+            text: typeof text === 'string' ? parse(text, `${label} text`) : null
+        };
+
+        if (!this.templates.has(name)) {
+            this.templates.set(name, new Map());
+        }
+        this.templates.get(name).set(variantLocale.toLowerCase(), compiled);
+        return this;
+    }
+
+    /**
+     * Finds the best variant for a locale: exact match, then the base language, then the default locale.
+     * @param {string} name - Template name.
+     * @param {string} [locale] - Requested locale.
+     * @returns {Object | undefined} The compiled variant.
+     * @private
+     */
+    _resolve(name, locale) {
+        const variants = this.templates.get(name);
+        if (!variants) return undefined;
+        const candidates = [];
+        if (locale) {
+            candidates.push(locale.toLowerCase(), locale.toLowerCase().split('-')[0]);
+        }
+        candidates.push(this.defaultLocale.toLowerCase());
+        for (const candidate of candidates) {
+            if (variants.has(candidate)) return variants.get(candidate);
+        }
+        return undefined;
+    }
+
+    /**
+     * Renders a template.
+     * @param {string} name - Template name.
+     * @param {Object} [options]
+     * @param {string} [options.locale] - Preferred locale.
+     * @param {Object} [options.data={}] - Template variables.
+     * @returns {{ subject: string, html: string | null, text: string }} The rendered parts.
+     * @throws {EmailSendError} With code VALIDATION if the template is unknown or variables are missing.
+     */
+    render(name, { locale, data = {} } = {}) {
+        const template = this._resolve(name, locale);
+        if (!template) {
+            throw new EmailSendError(`No template named ${name} for locale ${locale || this.defaultLocale}.`, {
+                code: ErrorCodes.VALIDATION
+            });
+        }
+
+        const missing = new Set();
+        const scopes = [{ value: data, index: undefined }];
+        const subject = renderNodes(template.subject, scopes, { escape: false, missing }).trim();
+        const html = template.html ? renderNodes(template.html, scopes, { escape: true, missing }) : null;
+        const text = template.text ? renderNodes(template.text, scopes, { escape: false, missing }) : htmlToText(html);
+
+        if (missing.size > 0) {
+            throw new EmailSendError(`Template ${name} is missing variables: ${Array.from(missing).join(', ')}.`, {
+                code: ErrorCodes.VALIDATION
+            });
+        }
+        return { subject, html, text };
+    }
+}
+
+module.exports = {
+    TemplateRegistry,
+    escapeHtml,
+    htmlToText
+};
@@ -1,34 +1,26 @@
 //utils.js
 
-const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
-
-const retryWithBackoff = async (fn, maxRetries, delay, emailId, logger) => {
-    let attempt = 0;
-    let currentDelay = delay;
-    let lastError = null;
-
-    while (attempt <= maxRetries) {
-        try {
-            
-            logger.log(`Attempt ${attempt + 1} for email ${emailId}`);
-            const result = await fn();
-            return result;
-        } catch (error) {
-            lastError = error;
-            
-            logger.error(`Attempt ${attempt + 1} for email ${emailId} failed: ${error.message}`);
-            attempt++;
-            if (attempt <= maxRetries) {
-                currentDelay *= 2; // Exponential backoff
-                logger.log(`Retrying ${emailId}, attempt ${attempt + 1}/${maxRetries + 1} after ${currentDelay}ms`);
-                await sleep(currentDelay);
-            }
-        }
+/**
+ * Waits for `ms` milliseconds. With a `signal`, rejects with `signal.reason` as soon as it aborts.
+ */
+const sleep = (ms, signal) => new Promise((resolve, reject) => {
+    if (!signal) {
+        setTimeout(resolve, ms);
+        return;
+    }
+    if (signal.aborted) {
+        reject(signal.reason);
+        return;
     }
-    
-    const errorMessage = `Failed after ${maxRetries + 1} attempts for email ${emailId}. Last error: ${lastError ? lastError.message : 'Unknown error'}`;
-    logger.error(errorMessage);
-    throw new Error(errorMessage);
-};
+    const onAbort = () => {
+        clearTimeout(timer);
+        reject(signal.reason);
+    };
+    const timer = setTimeout(() => {
+        signal.removeEventListener('abort', onAbort);
+        resolve();
+    }, ms);
+    signal.addEventListener('abort', onAbort, { once: true });
+});
 
-module.exports = { sleep, retryWithBackoff };
\ No newline at end of file
+module.exports = { sleep };
\ No newline at end of file